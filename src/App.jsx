@@ -1,55 +1,168 @@
-import { useState } from 'react';
-import FileUpload from './components/FileUpload';
+import { useMemo, useRef, useState } from 'react';
+import FileUpload, { useColumnMapping } from './components/FileUpload';
+import ColumnMappingWizard from './components/ColumnMappingWizard';
 import Dashboard from './components/Dashboard';
 import TransactionTable from './components/TransactionTable';
 import OptionsBreakdown from './components/OptionsBreakdown';
+import WheelTracker from './components/WheelTracker';
 import TaxReport from './components/TaxReport';
-import { parseCSV } from './utils/csvParser';
+import CorporateActionsEditor from './components/CorporateActionsEditor';
+import ImportReport from './components/ImportReport';
+import OpeningPositionsEditor from './components/OpeningPositionsEditor';
+import OpenPositions from './components/OpenPositions';
+import LotMethodSettings from './components/LotMethodSettings';
+import Section1256Settings from './components/Section1256Settings';
+import { importFile, SUPPORTED_EXTENSIONS } from './utils/fileImporter';
+import { mergeTransactions } from './utils/transactionMerger';
 import { calculateGainsLosses } from './utils/gainsCalculator';
 import { calculateXIRR } from './utils/annualizedReturn';
+import { loadManualActions, saveManualActions, manualActionToTransaction } from './utils/corporateActions';
+import { loadOpeningPositions, saveOpeningPositions, openingLotToTransaction } from './utils/openingPositions';
+import { loadQuotes, saveQuotes } from './utils/quotes';
+import { summarizeOpenPositions } from './utils/openPositions';
+import { loadSection1256Underlyings, saveSection1256Underlyings, loadYearEndMarks, saveYearEndMarks } from './utils/section1256';
+import {
+    LOT_METHODS,
+    loadLotSelections,
+    saveLotSelections,
+    loadSpecIdFallback,
+    saveSpecIdFallback,
+    loadLotMethodOverrides,
+    saveLotMethodOverrides
+} from './utils/lotSelection';
 
 function App() {
     const [results, setResults] = useState(null);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
     const [taxStrategy, setTaxStrategy] = useState('FIFO');
-    const [activeTab, setActiveTab] = useState('overview'); // 'overview' or 'tax'
+    const [strictCoverage, setStrictCoverage] = useState(false); // Check short calls against shares held
+    const [activeTab, setActiveTab] = useState('overview'); // 'overview', 'tax', 'positions', 'actions' or 'opening'
+    const [selectedAccount, setSelectedAccount] = useState('ALL');
+    const [corporateActions, setCorporateActions] = useState(() => loadManualActions());
+    const [openingPositions, setOpeningPositions] = useState(() => loadOpeningPositions());
+    const [quotes, setQuotes] = useState(() => loadQuotes());
+    const [section1256Underlyings, setSection1256Underlyings] = useState(() => loadSection1256Underlyings());
+    const [yearEndMarks, setYearEndMarks] = useState(() => loadYearEndMarks());
+    const [lotSelections, setLotSelections] = useState(() => loadLotSelections());
+    const [specIdFallback, setSpecIdFallback] = useState(() => loadSpecIdFallback());
+    const [lotMethodOverrides, setLotMethodOverrides] = useState(() => loadLotMethodOverrides());
+    const addFilesInputRef = useRef(null);
 
-    const handleFileUpload = async (file) => {
+    const accounts = useMemo(() => (
+        results ? [...new Set(results.transactions.map(t => t.account).filter(Boolean))].sort() : []
+    ), [results]);
+
+    // Lots are matched per account, so one account's results come from its own transactions alone.
+    // Manually entered corporate actions and opening lots join the timeline before lot matching.
+    const view = useMemo(() => {
+        if (!results) return null;
+
+        const inAccount = (t) => selectedAccount === 'ALL' || !t.account || t.account === selectedAccount;
+        const transactions = results.transactions.filter(inAccount);
+        const manualTransactions = [
+            ...openingPositions.map(openingLotToTransaction),
+            ...corporateActions.map(manualActionToTransaction)
+        ].filter(inAccount);
+
+        return {
+            transactions,
+            gainsLosses: calculateGainsLosses([...transactions, ...manualTransactions], taxStrategy, {
+                selections: lotSelections,
+                fallback: specIdFallback,
+                overrides: lotMethodOverrides
+            }, { strictCoverage, section1256Underlyings, marks: yearEndMarks }),
+            annualizedReturn: calculateXIRR(transactions, 0)
+        };
+    }, [results, selectedAccount, taxStrategy, strictCoverage, corporateActions, openingPositions, lotSelections, specIdFallback, lotMethodOverrides, section1256Underlyings, yearEndMarks]);
+
+    const handleCorporateActionsChange = (actions) => {
+        setCorporateActions(actions);
+        saveManualActions(actions);
+    };
+
+    const handleOpeningPositionsChange = (entries) => {
+        setOpeningPositions(entries);
+        saveOpeningPositions(entries);
+    };
+
+    const handleQuotesChange = (next) => {
+        setQuotes(next);
+        saveQuotes(next);
+    };
+
+    const handleSection1256UnderlyingsChange = (underlyings) => {
+        setSection1256Underlyings(underlyings);
+        saveSection1256Underlyings(underlyings);
+    };
+
+    const handleYearEndMarksChange = (marks) => {
+        setYearEndMarks(marks);
+        saveYearEndMarks(marks);
+    };
+
+    // An empty choice clears the sale's pinned lots
+    const handleLotSelectionChange = (key, choices) => {
+        const next = { ...lotSelections };
+        if (choices.length > 0) next[key] = choices;
+        else delete next[key];
+        setLotSelections(next);
+        saveLotSelections(next);
+    };
+
+    const handleSpecIdFallbackChange = (method) => {
+        setSpecIdFallback(method);
+        saveSpecIdFallback(method);
+    };
+
+    const handleLotMethodOverridesChange = (overrides) => {
+        setLotMethodOverrides(overrides);
+        saveLotMethodOverrides(overrides);
+    };
+
+    const handleFileUpload = async (files, append = false) => {
         setLoading(true);
         setError(null);
 
         try {
-            // Parse CSV
-            const { transactions, source } = await parseCSV(file);
+            // Start from the loaded timeline when adding files, otherwise from scratch
+            let transactions = append && results ? results.transactions : [];
+            const sources = append && results ? [...results.sources] : [];
+            const reports = append && results ? [...results.reports] : [];
+            const stats = append && results
+                ? { ...results.importStats, files: [...results.importStats.files] }
+                : { files: [], rowsMerged: 0, duplicatesDropped: 0 };
 
-            // Calculate gains/losses
-            const gainsLosses = calculateGainsLosses(transactions, taxStrategy);
+            for (const file of files) {
+                // Parse CSV, Flex XML or OFX/QFX
+                const parsed = await importFile(file);
+                const merged = mergeTransactions(transactions, parsed.transactions);
 
-            // Calculate XIRR
-            const annualizedReturn = calculateXIRR(transactions, 0);
+                transactions = merged.transactions;
+                if (!sources.includes(parsed.source)) sources.push(parsed.source);
+                reports.push({ ...parsed.report, fileName: file.name });
+                stats.files.push(file.name);
+                stats.rowsMerged += merged.added;
+                stats.duplicatesDropped += merged.duplicates;
+            }
 
+            // Gains/losses and XIRR are derived from the merged timeline (see `view`)
             setResults({
                 transactions,
-                source,
-                gainsLosses,
-                annualizedReturn
+                sources,
+                reports,
+                importStats: stats
             });
         } catch (err) {
-            setError(err.message || 'Failed to process CSV file');
+            setError(err.message || 'Failed to process file');
             console.error(err);
         } finally {
             setLoading(false);
         }
     };
 
-    const handleStrategyChange = (newStrategy) => {
-        setTaxStrategy(newStrategy);
-        if (results) {
-            const newGains = calculateGainsLosses(results.transactions, newStrategy);
-            setResults(prev => ({ ...prev, gainsLosses: newGains }));
-        }
-    };
+    // Added files go through the same detect-or-map step as the first upload
+    const appendMapping = useColumnMapping(files => handleFileUpload(files, true));
 
     return (
         <div className="container">
@@ -68,7 +181,16 @@ function App() {
                 />
             )}
 
-            {results && (
+            {results && appendMapping.current && (
+                <ColumnMappingWizard
+                    key={appendMapping.current.position}
+                    {...appendMapping.current}
+                    onSave={appendMapping.save}
+                    onCancel={appendMapping.cancel}
+                />
+            )}
+
+            {results && !appendMapping.current && (
                 <div className="fade-in">
                     <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem' }}>
                         {/* Tab Switcher */}
@@ -87,65 +209,239 @@ function App() {
                             >
                                 Tax Report
                             </button>
+                            <button
+                                onClick={() => setActiveTab('positions')}
+                                className={`btn ${activeTab === 'positions' ? 'btn-primary' : ''}`}
+                                style={activeTab !== 'positions' ? { background: 'transparent', border: '1px solid var(--border-color)' } : {}}
+                            >
+                                Open Positions
+                            </button>
+                            <button
+                                onClick={() => setActiveTab('actions')}
+                                className={`btn ${activeTab === 'actions' ? 'btn-primary' : ''}`}
+                                style={activeTab !== 'actions' ? { background: 'transparent', border: '1px solid var(--border-color)' } : {}}
+                            >
+                                Corporate Actions
+                            </button>
+                            <button
+                                onClick={() => setActiveTab('opening')}
+                                className={`btn ${activeTab === 'opening' ? 'btn-primary' : ''}`}
+                                style={activeTab !== 'opening' ? { background: 'transparent', border: '1px solid var(--border-color)' } : {}}
+                            >
+                                Opening Positions
+                            </button>
                         </div>
 
-                        {/* Strategy Selector */}
-                        <div className="card" style={{ padding: '0.5rem 1rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                            <label htmlFor="tax-strategy" style={{ fontSize: '0.9rem', color: 'var(--color-text-muted)' }}>Tax Strategy:</label>
-                            <select
-                                id="tax-strategy"
-                                value={taxStrategy}
-                                onChange={(e) => handleStrategyChange(e.target.value)}
-                                style={{
-                                    background: 'var(--color-bg)',
-                                    color: 'var(--color-text)',
-                                    border: '1px solid var(--color-border)',
-                                    borderRadius: '4px',
-                                    padding: '0.25rem 0.5rem',
-                                    fontSize: '0.9rem'
-                                }}
-                            >
-                                <option value="FIFO">FIFO (First-In, First-Out)</option>
-                                <option value="LIFO">LIFO (Last-In, First-Out)</option>
-                                <option value="HIFO">HIFO (Highest-In, First-Out)</option>
-                            </select>
+                        <div style={{ display: 'flex', gap: '0.5rem' }}>
+                            {/* Account Selector */}
+                            {accounts.length > 1 && (
+                                <div className="card" style={{ padding: '0.5rem 1rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                    <label htmlFor="account-filter" style={{ fontSize: '0.9rem', color: 'var(--color-text-muted)' }}>Account:</label>
+                                    <select
+                                        id="account-filter"
+                                        value={selectedAccount}
+                                        onChange={(e) => setSelectedAccount(e.target.value)}
+                                        style={{
+                                            background: 'var(--color-bg)',
+                                            color: 'var(--color-text)',
+                                            border: '1px solid var(--color-border)',
+                                            borderRadius: '4px',
+                                            padding: '0.25rem 0.5rem',
+                                            fontSize: '0.9rem'
+                                        }}
+                                    >
+                                        <option value="ALL">All Accounts</option>
+                                        {accounts.map(account => (
+                                            <option key={account} value={account}>{account}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+
+                            {/* Strategy Selector */}
+                            <div className="card" style={{ padding: '0.5rem 1rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                <label htmlFor="tax-strategy" style={{ fontSize: '0.9rem', color: 'var(--color-text-muted)' }}>Tax Strategy:</label>
+                                <select
+                                    id="tax-strategy"
+                                    value={taxStrategy}
+                                    onChange={(e) => setTaxStrategy(e.target.value)}
+                                    style={{
+                                        background: 'var(--color-bg)',
+                                        color: 'var(--color-text)',
+                                        border: '1px solid var(--color-border)',
+                                        borderRadius: '4px',
+                                        padding: '0.25rem 0.5rem',
+                                        fontSize: '0.9rem'
+                                    }}
+                                >
+                                    {LOT_METHODS.map(method => (
+                                        <option key={method.id} value={method.id}>{method.label}</option>
+                                    ))}
+                                    <option value="SPECID">Specific ID (choose lots)</option>
+                                </select>
+                                {taxStrategy === 'SPECID' && (
+                                    <>
+                                        <label htmlFor="specid-fallback" style={{ fontSize: '0.9rem', color: 'var(--color-text-muted)' }}>Otherwise:</label>
+                                        <select
+                                            id="specid-fallback"
+                                            value={specIdFallback}
+                                            onChange={(e) => handleSpecIdFallbackChange(e.target.value)}
+                                            title="Method for sales without chosen lots"
+                                            style={{
+                                                background: 'var(--color-bg)',
+                                                color: 'var(--color-text)',
+                                                border: '1px solid var(--color-border)',
+                                                borderRadius: '4px',
+                                                padding: '0.25rem 0.5rem',
+                                                fontSize: '0.9rem'
+                                            }}
+                                        >
+                                            {LOT_METHODS.map(method => (
+                                                <option key={method.id} value={method.id}>{method.id}</option>
+                                            ))}
+                                        </select>
+                                    </>
+                                )}
+                            </div>
+
+                            {/* Covered Call Check */}
+                            <div className="card" style={{ padding: '0.5rem 1rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                <label
+                                    htmlFor="strict-coverage"
+                                    title="Treat a short call as covered only if the account held the shares on the day it was sold"
+                                    style={{ fontSize: '0.9rem', color: 'var(--color-text-muted)', display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}
+                                >
+                                    <input
+                                        id="strict-coverage"
+                                        type="checkbox"
+                                        checked={strictCoverage}
+                                        onChange={(e) => setStrictCoverage(e.target.checked)}
+                                    />
+                                    Strict covered calls
+                                </label>
+                            </div>
                         </div>
                     </div>
 
                     {activeTab === 'overview' ? (
                         <>
+                            <ImportReport reports={results.reports} />
+
                             <Dashboard
-                                gainsLosses={results.gainsLosses}
-                                annualizedReturn={results.annualizedReturn}
-                                source={results.source}
+                                gainsLosses={view.gainsLosses}
+                                annualizedReturn={view.annualizedReturn}
+                                sources={results.sources}
+                                importStats={results.importStats}
                             />
 
-                            {results.gainsLosses.optionResults?.strategySummary && (
+                            {view.gainsLosses.optionResults?.strategySummary && (
                                 <OptionsBreakdown
-                                    strategyData={results.gainsLosses.optionResults.strategySummary}
-                                    winRate={results.gainsLosses.optionResults.winRate || 0}
+                                    strategyData={view.gainsLosses.optionResults.strategySummary}
+                                    winRate={view.gainsLosses.optionResults.winRate || 0}
+                                    chains={view.gainsLosses.optionResults.chains}
+                                    chainWinRate={view.gainsLosses.optionResults.chainWinRate || 0}
                                 />
                             )}
 
+                            {view.gainsLosses.wheelCycles?.length > 0 && (
+                                <WheelTracker cycles={view.gainsLosses.wheelCycles} />
+                            )}
+
                             <div className="mt-lg">
                                 <TransactionTable
-                                    transactions={results.transactions}
-                                    trades={results.gainsLosses.allTrades}
+                                    transactions={view.transactions}
+                                    trades={view.gainsLosses.allTrades}
+                                    lotSelections={taxStrategy === 'SPECID' ? lotSelections : null}
+                                    onLotSelectionChange={handleLotSelectionChange}
                                 />
                             </div>
                         </>
+                    ) : activeTab === 'tax' ? (
+                        <>
+                            <LotMethodSettings
+                                overrides={lotMethodOverrides}
+                                onChange={handleLotMethodOverridesChange}
+                                symbols={[...new Set(view.transactions.filter(t => !t.isOption && t.transactionType === 'BUY').map(t => t.symbol))].sort()}
+                                globalMethod={taxStrategy}
+                            />
+                            <Section1256Settings
+                                underlyings={section1256Underlyings}
+                                onChange={handleSection1256UnderlyingsChange}
+                                marks={yearEndMarks}
+                                onMarksChange={handleYearEndMarksChange}
+                            />
+                            <TaxReport trades={view.gainsLosses.allTrades} />
+                        </>
+                    ) : activeTab === 'positions' ? (
+                        <OpenPositions
+                            positions={summarizeOpenPositions(view.gainsLosses.stockResults, view.gainsLosses.optionResults, quotes)}
+                            quotes={quotes}
+                            onQuotesChange={handleQuotesChange}
+                        />
+                    ) : activeTab === 'actions' ? (
+                        <CorporateActionsEditor
+                            actions={corporateActions}
+                            onChange={handleCorporateActionsChange}
+                            importedActions={view.transactions.filter(t => t.transactionType === 'SPLIT' || t.transactionType === 'SYMBOL_CHANGE')}
+                            accounts={accounts}
+                        />
                     ) : (
-                        <TaxReport trades={results.gainsLosses.allTrades} />
+                        <OpeningPositionsEditor
+                            entries={openingPositions}
+                            onChange={handleOpeningPositionsChange}
+                            orphanSells={view.gainsLosses.stockResults.trades.filter(t => t.missingBasis > 0)}
+                            accounts={accounts}
+                            firstTransactionDate={results.transactions[0]?.date}
+                        />
+                    )}
+
+                    {(error || appendMapping.readError) && (
+                        <div
+                            className="mt-md"
+                            style={{
+                                padding: '1rem',
+                                background: 'rgba(239, 68, 68, 0.1)',
+                                border: '1px solid rgba(239, 68, 68, 0.3)',
+                                borderRadius: '8px',
+                                color: 'var(--color-danger)'
+                            }}
+                        >
+                            <strong>Error:</strong> {error || appendMapping.readError}
+                        </div>
                     )}
 
-                    <div className="text-center mt-lg">
+                    <div className="text-center mt-lg" style={{ display: 'flex', justifyContent: 'center', gap: '0.5rem' }}>
+                        <button
+                            className="btn"
+                            onClick={() => addFilesInputRef.current?.click()}
+                            disabled={loading}
+                            style={{ background: 'transparent', border: '1px solid var(--border-color)' }}
+                        >
+                            {loading ? 'Processing...' : 'Add More Files'}
+                        </button>
                         <button
                             className="btn btn-primary"
-                            onClick={() => setResults(null)}
+                            onClick={() => {
+                                setResults(null);
+                                setSelectedAccount('ALL');
+                            }}
                         >
                             Upload New File
                         </button>
                     </div>
+
+                    <input
+                        ref={addFilesInputRef}
+                        type="file"
+                        accept={SUPPORTED_EXTENSIONS.join(',')}
+                        multiple
+                        onChange={(e) => {
+                            const files = Array.from(e.target.files || []);
+                            e.target.value = '';
+                            if (files.length > 0) appendMapping.start(files);
+                        }}
+                        style={{ display: 'none' }}
+                    />
                 </div>
             )}
         </div>
@@ -0,0 +1,193 @@
+import { useMemo, useState } from 'react';
+import {
+    MAPPABLE_FIELDS,
+    MAPPABLE_TRANSACTION_TYPES,
+    guessColumnMapping,
+    guessTransactionType,
+    distinctActionValues,
+    validateCustomFormat,
+    createCustomFormat,
+    loadCustomFormats
+} from '../utils/customFormats';
+
+const PREVIEW_ROWS = 3;
+
+function ColumnMappingWizard({ fileName, headers, rows, position = 1, total = 1, onSave, onCancel }) {
+    const savedFormats = useMemo(() => loadCustomFormats(), []);
+    const [name, setName] = useState('');
+    const [columns, setColumns] = useState(() => guessColumnMapping(headers));
+    const [actionTypes, setActionTypes] = useState({});
+    const [formError, setFormError] = useState(null);
+
+    const actionValues = useMemo(
+        () => (columns.action ? distinctActionValues(rows, columns.action) : []),
+        [rows, columns.action]
+    );
+
+    const selectStyle = {
+        background: 'var(--bg-darker)',
+        color: 'var(--color-text)',
+        border: '1px solid var(--border-color)',
+        borderRadius: '4px',
+        padding: '0.4rem 0.5rem',
+        fontSize: '0.9rem'
+    };
+
+    // Explicit choices win over the keyword guess
+    const typeFor = (value) => actionTypes[value] || guessTransactionType(value);
+
+    const handleColumnChange = (field) => (e) => {
+        setColumns(prev => ({ ...prev, [field]: e.target.value }));
+    };
+
+    const handleStartFrom = (e) => {
+        const format = savedFormats.find(f => f.id === e.target.value);
+        if (!format) return;
+
+        // Keep only mappings whose columns exist in this file
+        const applicable = Object.fromEntries(
+            Object.entries(format.columns).filter(([, header]) => headers.includes(header))
+        );
+        setColumns(applicable);
+        setActionTypes(format.actionTypes);
+        setName(format.name);
+    };
+
+    const handleSave = (e) => {
+        e.preventDefault();
+
+        const mappedTypes = Object.fromEntries(actionValues.map(({ value }) => [value, typeFor(value)]));
+        const format = createCustomFormat(name, headers, columns, mappedTypes);
+
+        const problem = validateCustomFormat(format);
+        if (problem) {
+            setFormError(problem);
+            return;
+        }
+        onSave(format);
+    };
+
+    return (
+        <form className="card fade-in" onSubmit={handleSave}>
+            <h2 style={{ marginBottom: '0.5rem' }}>
+                Map Columns{total > 1 && ` (file ${position} of ${total})`}
+            </h2>
+            <p style={{ color: 'var(--color-text-muted)', marginBottom: '1.5rem', fontSize: '0.9rem' }}>
+                <strong style={{ color: 'var(--color-text)' }}>{fileName}</strong> doesn't match a known export.
+                Tell us which column holds each field and what each action means. The mapping is saved as a custom
+                format and used automatically for files with the same columns.
+            </p>
+
+            {savedFormats.length > 0 && (
+                <div style={{ marginBottom: '1.5rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <label htmlFor="start-from" style={{ fontSize: '0.9rem', color: 'var(--color-text-muted)' }}>Start from saved format:</label>
+                    <select id="start-from" defaultValue="" onChange={handleStartFrom} style={selectStyle}>
+                        <option value="">—</option>
+                        {savedFormats.map(format => (
+                            <option key={format.id} value={format.id}>{format.name}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+
+            {/* Sample rows */}
+            <h3 style={{ fontSize: '1rem', marginBottom: '0.5rem' }}>Detected Columns</h3>
+            <div className="table-container" style={{ marginBottom: '1.5rem' }}>
+                <table>
+                    <thead>
+                        <tr>
+                            {headers.map(header => <th key={header}>{header}</th>)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.slice(0, PREVIEW_ROWS).map((row, idx) => (
+                            <tr key={idx}>
+                                {headers.map(header => (
+                                    <td key={header} style={{ fontSize: '0.8rem', whiteSpace: 'nowrap' }}>{row[header]}</td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {/* Field mapping */}
+            <h3 style={{ fontSize: '1rem', marginBottom: '0.5rem' }}>Fields</h3>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '0.75rem', marginBottom: '1.5rem' }}>
+                {MAPPABLE_FIELDS.map(field => (
+                    <label
+                        key={field.key}
+                        style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem', fontSize: '0.8rem', color: 'var(--color-text-muted)' }}
+                    >
+                        {field.label}{field.required ? ' *' : ''}
+                        <select value={columns[field.key] || ''} onChange={handleColumnChange(field.key)} style={selectStyle}>
+                            <option value="">— Not in file —</option>
+                            {headers.map(header => (
+                                <option key={header} value={header}>{header}</option>
+                            ))}
+                        </select>
+                    </label>
+                ))}
+            </div>
+
+            {/* Action mapping */}
+            {actionValues.length > 0 && (
+                <>
+                    <h3 style={{ fontSize: '1rem', marginBottom: '0.5rem' }}>Actions</h3>
+                    <div className="table-container" style={{ marginBottom: '1.5rem' }}>
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Value in File</th>
+                                    <th>Rows</th>
+                                    <th>Treat As</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {actionValues.map(({ value, count }) => (
+                                    <tr key={value}>
+                                        <td style={{ fontWeight: '600' }}>{value}</td>
+                                        <td>{count}</td>
+                                        <td>
+                                            <select
+                                                value={typeFor(value)}
+                                                onChange={(e) => setActionTypes(prev => ({ ...prev, [value]: e.target.value }))}
+                                                style={selectStyle}
+                                            >
+                                                {MAPPABLE_TRANSACTION_TYPES.map(({ type, label }) => (
+                                                    <option key={type} value={type}>{label}</option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+
+            <div style={{ display: 'flex', alignItems: 'flex-end', gap: '0.75rem', flexWrap: 'wrap' }}>
+                <label style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem', fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>
+                    Format Name *
+                    <input value={name} onChange={(e) => setName(e.target.value)} placeholder="My Broker" style={{ ...selectStyle, width: '14rem' }} />
+                </label>
+                <button type="submit" className="btn btn-primary">Save Format & Import</button>
+                <button
+                    type="button"
+                    className="btn"
+                    onClick={onCancel}
+                    style={{ background: 'transparent', border: '1px solid var(--border-color)' }}
+                >
+                    Cancel
+                </button>
+            </div>
+
+            {formError && (
+                <p className="mt-md" style={{ color: 'var(--color-danger)', fontSize: '0.9rem' }}>{formError}</p>
+            )}
+        </form>
+    );
+}
+
+export default ColumnMappingWizard;
@@ -0,0 +1,217 @@
+import { useState } from 'react';
+
+const emptyForm = {
+    type: 'SPLIT',
+    date: '',
+    symbol: '',
+    newShares: '2',
+    oldShares: '1',
+    toSymbol: '',
+    account: ''
+};
+
+function CorporateActionsEditor({ actions, onChange, importedActions = [], accounts = [] }) {
+    const [form, setForm] = useState(emptyForm);
+    const [formError, setFormError] = useState(null);
+
+    const inputStyle = {
+        background: 'var(--bg-darker)',
+        color: 'var(--color-text)',
+        border: '1px solid var(--border-color)',
+        borderRadius: '4px',
+        padding: '0.4rem 0.5rem',
+        fontSize: '0.9rem'
+    };
+
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    });
+
+    const describe = (action) => {
+        if (action.type === 'SPLIT') {
+            const ratio = parseFloat(action.ratio);
+            return ratio >= 1
+                ? `${action.symbol} ${+ratio.toFixed(4)}-for-1 split`
+                : `${action.symbol} 1-for-${+(1 / ratio).toFixed(4)} reverse split`;
+        }
+        return `${action.symbol} → ${action.toSymbol}`;
+    };
+
+    const describeImported = (txn) => {
+        const { corporateAction } = txn;
+        if (txn.transactionType === 'SYMBOL_CHANGE') {
+            return corporateAction?.fromSymbol
+                ? `${corporateAction.fromSymbol} → ${corporateAction.toSymbol}`
+                : `${txn.symbol} ticker change (${corporateAction?.sharesDelta > 0 ? 'new' : 'old'} symbol)`;
+        }
+        if (corporateAction?.ratio) {
+            return `${txn.symbol} split, ${+corporateAction.ratio.toFixed(4)} new shares per old share`;
+        }
+        return `${txn.symbol} split, ${corporateAction?.sharesDelta > 0 ? '+' : ''}${corporateAction?.sharesDelta || 0} shares`;
+    };
+
+    const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        setFormError(null);
+
+        const symbol = form.symbol.trim().toUpperCase();
+        if (!form.date || !symbol) {
+            setFormError('Date and symbol are required');
+            return;
+        }
+
+        const entry = {
+            id: Date.now().toString(36),
+            type: form.type,
+            date: form.date,
+            symbol,
+            account: form.account
+        };
+
+        if (form.type === 'SPLIT') {
+            const newShares = parseFloat(form.newShares);
+            const oldShares = parseFloat(form.oldShares);
+            if (!(newShares > 0) || !(oldShares > 0)) {
+                setFormError('Enter the split as new shares for old shares, e.g. 2 for 1 or 1 for 10');
+                return;
+            }
+            entry.ratio = newShares / oldShares;
+        } else {
+            const toSymbol = form.toSymbol.trim().toUpperCase();
+            if (!toSymbol || toSymbol === symbol) {
+                setFormError('Enter the new ticker');
+                return;
+            }
+            entry.toSymbol = toSymbol;
+        }
+
+        onChange([...actions, entry].sort((a, b) => a.date.localeCompare(b.date)));
+        setForm(emptyForm);
+    };
+
+    const handleRemove = (id) => {
+        onChange(actions.filter(a => a.id !== id));
+    };
+
+    return (
+        <div>
+            <div className="card" style={{ marginBottom: '2rem' }}>
+                <h2 style={{ marginBottom: '0.5rem' }}>Corporate Actions</h2>
+                <p style={{ color: 'var(--color-text-muted)', marginBottom: '1.5rem', fontSize: '0.9rem' }}>
+                    Splits, reverse splits and ticker changes adjust open lots and option contracts on their date.
+                    Quantities and per-share cost change; acquisition dates are kept. Actions entered here are saved in this browser.
+                </p>
+
+                <form
+                    onSubmit={handleAdd}
+                    style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', alignItems: 'flex-end', marginBottom: '1.5rem' }}
+                >
+                    <label style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem', fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>
+                        Type
+                        <select value={form.type} onChange={updateField('type')} style={inputStyle}>
+                            <option value="SPLIT">Split / Reverse Split</option>
+                            <option value="SYMBOL_CHANGE">Ticker Change</option>
+                        </select>
+                    </label>
+                    <label style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem', fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>
+                        Effective Date
+                        <input type="date" value={form.date} onChange={updateField('date')} style={inputStyle} />
+                    </label>
+                    <label style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem', fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>
+                        {form.type === 'SPLIT' ? 'Symbol' : 'Old Symbol'}
+                        <input value={form.symbol} onChange={updateField('symbol')} placeholder="AAPL" style={{ ...inputStyle, width: '7rem' }} />
+                    </label>
+                    {form.type === 'SPLIT' ? (
+                        <label style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem', fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>
+                            New for Old Shares
+                            <span style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', color: 'var(--color-text)' }}>
+                                <input type="number" min="0" step="any" value={form.newShares} onChange={updateField('newShares')} style={{ ...inputStyle, width: '4.5rem' }} />
+                                for
+                                <input type="number" min="0" step="any" value={form.oldShares} onChange={updateField('oldShares')} style={{ ...inputStyle, width: '4.5rem' }} />
+                            </span>
+                        </label>
+                    ) : (
+                        <label style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem', fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>
+                            New Symbol
+                            <input value={form.toSymbol} onChange={updateField('toSymbol')} placeholder="META" style={{ ...inputStyle, width: '7rem' }} />
+                        </label>
+                    )}
+                    {accounts.length > 1 && (
+                        <label style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem', fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>
+                            Account
+                            <select value={form.account} onChange={updateField('account')} style={inputStyle}>
+                                <option value="">All Accounts</option>
+                                {accounts.map(account => (
+                                    <option key={account} value={account}>{account}</option>
+                                ))}
+                            </select>
+                        </label>
+                    )}
+                    <button type="submit" className="btn btn-primary">Add Action</button>
+                </form>
+
+                {formError && (
+                    <p style={{ color: 'var(--color-danger)', marginBottom: '1rem', fontSize: '0.9rem' }}>{formError}</p>
+                )}
+
+                <div className="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Action</th>
+                                <th>Account</th>
+                                <th>Source</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {actions.length === 0 && importedActions.length === 0 ? (
+                                <tr>
+                                    <td colSpan="5" style={{ textAlign: 'center', padding: '2rem', color: 'var(--color-text-muted)' }}>
+                                        No corporate actions
+                                    </td>
+                                </tr>
+                            ) : (
+                                <>
+                                    {importedActions.map((txn, idx) => (
+                                        <tr key={`imported-${idx}`}>
+                                            <td>{formatDate(txn.date)}</td>
+                                            <td>{describeImported(txn)}</td>
+                                            <td>{txn.account || 'All'}</td>
+                                            <td style={{ color: 'var(--color-text-muted)' }}>Imported</td>
+                                            <td></td>
+                                        </tr>
+                                    ))}
+                                    {actions.map(action => (
+                                        <tr key={action.id}>
+                                            <td>{formatDate(`${action.date}T00:00:00`)}</td>
+                                            <td>{describe(action)}</td>
+                                            <td>{action.account || 'All'}</td>
+                                            <td style={{ color: 'var(--color-accent)' }}>Manual</td>
+                                            <td style={{ textAlign: 'right' }}>
+                                                <button
+                                                    className="btn"
+                                                    onClick={() => handleRemove(action.id)}
+                                                    style={{ background: 'transparent', border: '1px solid var(--border-color)', padding: '0.25rem 0.75rem' }}
+                                                >
+                                                    Remove
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default CorporateActionsEditor;
@@ -1,5 +1,7 @@
-function Dashboard({ gainsLosses, annualizedReturn, source }) {
-    const { totalRealizedGains, totalRealizedLosses, netPL, stockResults, optionResults } = gainsLosses;
+import { getBrokerAdapter } from '../utils/brokerAdapters';
+
+function Dashboard({ gainsLosses, annualizedReturn, sources = [], importStats }) {
+    const { totalRealizedGains, totalRealizedLosses, netPL, stockResults, optionResults, cashSweep } = gainsLosses;
 
     // Ensure option results have default values for tax breakdown
     const optionShortTermGains = optionResults.shortTermGains || 0;
@@ -22,14 +24,39 @@ function Dashboard({ gainsLosses, annualizedReturn, source }) {
         return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
     };
 
+    // Open short positions: shares owed back, with the proceeds held for them
+    const shortPositions = Object.entries(stockResults.openShortPositions || {})
+        .map(([key, lots]) => ({
+            symbol: key.split('|').pop(),
+            account: lots[0]?.account,
+            quantity: lots.reduce((sum, lot) => sum + lot.quantity, 0),
+            proceeds: lots.reduce((sum, lot) => sum + lot.quantity * lot.proceedsPerShare, 0),
+            opened: lots[0]?.date
+        }))
+        .filter(position => position.quantity > 0)
+        .sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+    // Covers with no short sale in the imported history; left out of realized P&L
+    const unmatchedCovers = stockResults.trades.filter(t => t.type === 'UNMATCHED_COVER');
+
     return (
         <div>
             <div className="mb-md" style={{ textAlign: 'center' }}>
                 <p style={{ color: 'var(--color-text-muted)' }}>
                     Data Source: <strong style={{ color: 'var(--color-accent)' }}>
-                        {source === 'fidelity' ? 'Fidelity' : 'Charles Schwab'}
+                        {sources.map(source => getBrokerAdapter(source)?.name || source).join(', ')}
                     </strong>
                 </p>
+                {importStats && (
+                    <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>
+                        {importStats.files.length} file{importStats.files.length !== 1 ? 's' : ''} • {importStats.rowsMerged} rows merged • {importStats.duplicatesDropped} duplicate{importStats.duplicatesDropped !== 1 ? 's' : ''} dropped
+                    </p>
+                )}
+                {cashSweep?.transactionCount > 0 && (
+                    <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>
+                        Cash sweep ({cashSweep.symbols.join(', ')}): {formatCurrency(cashSweep.income)} income • {formatCurrency(cashSweep.reinvested)} reinvested • {cashSweep.transactionCount} rows kept out of trades
+                    </p>
+                )}
             </div>
 
             <div className="stats-grid">
@@ -100,7 +127,7 @@ function Dashboard({ gainsLosses, annualizedReturn, source }) {
                         {formatCurrency(stockResults.totalRealizedGains)}
                     </div>
                     <div style={{ fontSize: '0.875rem', color: 'var(--color-text-muted)', marginTop: '0.5rem' }}>
-                        {stockResults.trades.filter(t => t.type === 'SELL').length} trades
+                        {stockResults.trades.filter(t => t.type === 'SELL' || t.type === 'COVER').length} trades
                     </div>
                 </div>
 
@@ -131,6 +158,76 @@ function Dashboard({ gainsLosses, annualizedReturn, source }) {
                     </div>
                 </div>
             </div>
+
+            {shortPositions.length > 0 && (
+                <>
+                    <h3 className="mt-lg" style={{ color: 'var(--color-text-muted)', fontSize: '1rem', borderBottom: '1px solid var(--border-color)', paddingBottom: '0.5rem' }}>
+                        Open Short Positions
+                    </h3>
+                    <div className="table-container mt-md">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Symbol</th>
+                                    <th>Shares Short</th>
+                                    <th>Avg. Sale Price</th>
+                                    <th>Proceeds</th>
+                                    <th>Opened</th>
+                                    <th>Account</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {shortPositions.map(position => (
+                                    <tr key={`${position.account}|${position.symbol}`}>
+                                        <td style={{ fontWeight: '600', color: 'var(--color-accent)' }}>{position.symbol}</td>
+                                        <td>{position.quantity}</td>
+                                        <td>{formatCurrency(position.proceeds / position.quantity)}</td>
+                                        <td>{formatCurrency(position.proceeds)}</td>
+                                        <td>{new Date(position.opened).toLocaleDateString()}</td>
+                                        <td>{position.account || '-'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+
+            {unmatchedCovers.length > 0 && (
+                <>
+                    <h3 className="mt-lg" style={{ color: 'var(--color-text-muted)', fontSize: '1rem', borderBottom: '1px solid var(--border-color)', paddingBottom: '0.5rem' }}>
+                        Unmatched Buy-to-Cover
+                    </h3>
+                    <p className="mt-md" style={{ fontSize: '0.875rem', color: 'var(--color-text-muted)' }}>
+                        No short sale in the imported history matches these covers, so no gain or loss is reported
+                        for them. Import the statement with the short sale to include them.
+                    </p>
+                    <div className="table-container mt-md">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Date</th>
+                                    <th>Symbol</th>
+                                    <th>Shares</th>
+                                    <th>Cover Cost</th>
+                                    <th>Account</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {unmatchedCovers.map((trade, idx) => (
+                                    <tr key={idx}>
+                                        <td>{new Date(trade.date).toLocaleDateString()}</td>
+                                        <td style={{ fontWeight: '600', color: 'var(--color-accent)' }}>{trade.symbol}</td>
+                                        <td>{trade.quantity}</td>
+                                        <td>{formatCurrency(trade.totalCost)}</td>
+                                        <td>{trade.account || '-'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
         </div>
     );
 }
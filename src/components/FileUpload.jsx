@@ -1,12 +1,91 @@
-import { useRef } from 'react';
+import { useRef, useState } from 'react';
+import { listBrokerAdapters, detectBrokerAdapter } from '../utils/brokerAdapters';
+import { isSupportedFile, isCSVFile, SUPPORTED_EXTENSIONS } from '../utils/fileImporter';
+import { readCSV } from '../utils/csvParser';
+import { loadCustomFormats, saveCustomFormat, deleteCustomFormat } from '../utils/customFormats';
+import ColumnMappingWizard from './ColumnMappingWizard';
+
+/**
+ * Detect-or-map step in front of an import. CSVs nobody recognizes are queued for the
+ * column-mapping wizard, one after another, and the files are imported once all are mapped.
+ * @param {Function} onFileUpload - Receives the files when every one of them can be read
+ */
+export function useColumnMapping(onFileUpload) {
+    const [pending, setPending] = useState(null); // { files, queue: [{ fileName, headers, rows }], total }
+    const [readError, setReadError] = useState(null);
+
+    const start = async (files) => {
+        setReadError(null);
+        const queue = [];
+        try {
+            for (const file of files.filter(isCSVFile)) {
+                const { headers, rows } = await readCSV(file);
+                if (!detectBrokerAdapter(headers)) {
+                    queue.push({
+                        fileName: file.name,
+                        headers: headers.filter(h => h && h.trim()),
+                        rows
+                    });
+                }
+            }
+        } catch (err) {
+            setReadError(err.message || 'Failed to read file');
+            return;
+        }
+
+        if (queue.length > 0) {
+            setPending({ files, queue, total: queue.length });
+        } else {
+            onFileUpload(files);
+        }
+    };
+
+    const save = (format) => {
+        saveCustomFormat(format);
+
+        // The saved format may also cover files further down the queue
+        const queue = pending.queue.slice(1).filter(item => !detectBrokerAdapter(item.headers));
+        if (queue.length > 0) {
+            setPending({ ...pending, queue });
+        } else {
+            setPending(null);
+            onFileUpload(pending.files);
+        }
+    };
+
+    return {
+        current: pending && {
+            ...pending.queue[0],
+            position: pending.total - pending.queue.length + 1,
+            total: pending.total
+        },
+        readError,
+        start,
+        save,
+        cancel: () => setPending(null)
+    };
+}
 
 function FileUpload({ onFileUpload, loading, error }) {
     const fileInputRef = useRef(null);
+    const [customFormats, setCustomFormats] = useState(() => loadCustomFormats());
+    const mapping = useColumnMapping(onFileUpload);
+
+    const handleMappingSave = (format) => {
+        mapping.save(format);
+        setCustomFormats(loadCustomFormats());
+    };
+
+    const handleDeleteFormat = (id) => {
+        deleteCustomFormat(id);
+        setCustomFormats(loadCustomFormats());
+    };
 
     const handleFileChange = (e) => {
-        const file = e.target.files?.[0];
-        if (file) {
-            onFileUpload(file);
+        const files = Array.from(e.target.files || []);
+        e.target.value = '';
+        if (files.length > 0) {
+            mapping.start(files);
         }
     };
 
@@ -14,9 +93,9 @@ function FileUpload({ onFileUpload, loading, error }) {
         e.preventDefault();
         e.currentTarget.classList.remove('drag-over');
 
-        const file = e.dataTransfer.files?.[0];
-        if (file && file.name.endsWith('.csv')) {
-            onFileUpload(file);
+        const files = Array.from(e.dataTransfer.files || []).filter(isSupportedFile);
+        if (files.length > 0) {
+            mapping.start(files);
         }
     };
 
@@ -29,6 +108,17 @@ function FileUpload({ onFileUpload, loading, error }) {
         e.currentTarget.classList.remove('drag-over');
     };
 
+    if (mapping.current) {
+        return (
+            <ColumnMappingWizard
+                key={mapping.current.position}
+                {...mapping.current}
+                onSave={handleMappingSave}
+                onCancel={mapping.cancel}
+            />
+        );
+    }
+
     return (
         <div className="card fade-in">
             <div
@@ -41,7 +131,7 @@ function FileUpload({ onFileUpload, loading, error }) {
                 {loading ? (
                     <div>
                         <div className="spinner mb-md"></div>
-                        <p style={{ color: 'var(--color-text-muted)' }}>Processing CSV...</p>
+                        <p style={{ color: 'var(--color-text-muted)' }}>Processing files...</p>
                     </div>
                 ) : (
                     <>
@@ -61,12 +151,12 @@ function FileUpload({ onFileUpload, loading, error }) {
                             <line x1="12" y1="3" x2="12" y2="15" />
                         </svg>
 
-                        <h3 style={{ marginBottom: '0.5rem' }}>Upload CSV File</h3>
+                        <h3 style={{ marginBottom: '0.5rem' }}>Upload Statement Files</h3>
                         <p style={{ color: 'var(--color-text-muted)', marginBottom: '1rem' }}>
-                            Drag and drop or click to browse
+                            Drag and drop or click to browse. Overlapping exports are merged.
                         </p>
                         <p style={{ fontSize: '0.875rem', color: 'var(--color-text-muted)' }}>
-                            Supports Fidelity & Charles Schwab formats
+                            Supports {listBrokerAdapters().map(a => a.name).join(', ')} exports ({SUPPORTED_EXTENSIONS.join(', ')})
                         </p>
                     </>
                 )}
@@ -75,12 +165,34 @@ function FileUpload({ onFileUpload, loading, error }) {
             <input
                 ref={fileInputRef}
                 type="file"
-                accept=".csv"
+                accept={SUPPORTED_EXTENSIONS.join(',')}
+                multiple
                 onChange={handleFileChange}
                 style={{ display: 'none' }}
             />
 
-            {error && (
+            {customFormats.length > 0 && (
+                <div className="mt-md" style={{ fontSize: '0.875rem', color: 'var(--color-text-muted)', display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center' }}>
+                    Custom formats:
+                    {customFormats.map(format => (
+                        <span
+                            key={format.id}
+                            style={{ padding: '2px 8px', borderRadius: '4px', border: '1px solid var(--border-color)', color: 'var(--color-text)' }}
+                        >
+                            {format.name}
+                            <button
+                                onClick={() => handleDeleteFormat(format.id)}
+                                title={`Delete ${format.name}`}
+                                style={{ marginLeft: '0.5rem', background: 'none', border: 'none', color: 'var(--color-text-muted)', cursor: 'pointer' }}
+                            >
+                                ✕
+                            </button>
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            {(error || mapping.readError) && (
                 <div
                     className="mt-md"
                     style={{
@@ -91,7 +203,7 @@ function FileUpload({ onFileUpload, loading, error }) {
                         color: 'var(--color-danger)'
                     }}
                 >
-                    <strong>Error:</strong> {error}
+                    <strong>Error:</strong> {error || mapping.readError}
                 </div>
             )}
         </div>
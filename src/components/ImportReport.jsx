@@ -0,0 +1,142 @@
+import { useState } from 'react';
+
+const SECTIONS = [
+    {
+        key: 'unrecognizedActions',
+        title: 'Unrecognized Actions',
+        hint: 'Imported as OTHER: not counted as trades, dividends or corporate actions',
+        grouped: true
+    },
+    {
+        key: 'droppedRows',
+        title: 'Dropped Rows',
+        hint: 'Rows without a symbol (cash movements, interest, footer lines)',
+        grouped: true
+    },
+    {
+        key: 'invalidDates',
+        title: 'Unparseable Dates',
+        hint: 'Dropped: these rows can\'t be placed on the timeline'
+    },
+    {
+        key: 'rejectedOptionSymbols',
+        title: 'Unparsed Option Symbols',
+        hint: 'Options whose symbol didn\'t match a known format; strike, expiry and type are guessed'
+    },
+    {
+        key: 'zeroQuantityTrades',
+        title: 'Zero-Quantity Trades',
+        hint: 'Trades with no share or contract count; they don\'t change any position'
+    }
+];
+
+function ImportReport({ reports = [] }) {
+    const totalIssues = reports.reduce((sum, report) => sum + report.issueCount, 0);
+    const [expanded, setExpanded] = useState(false);
+
+    if (reports.length === 0) return null;
+
+    const totalRows = reports.reduce((sum, report) => sum + report.totalRows, 0);
+    const importedRows = reports.reduce((sum, report) => sum + report.importedRows, 0);
+
+    const formatCurrency = (value) => new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD',
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    }).format(value || 0);
+
+    const formatDate = (date) => {
+        if (!date) return 'No date';
+        return new Date(date).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    };
+
+    const describeRow = (row) => [
+        formatDate(row.date),
+        row.symbol,
+        row.action || row.description,
+        row.account
+    ].filter(Boolean).join(' • ');
+
+    return (
+        <div className="card mb-md" style={{ borderColor: totalIssues > 0 ? 'rgba(245, 158, 11, 0.4)' : undefined }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem' }}>
+                <div>
+                    <h3 style={{ marginBottom: '0.25rem' }}>Import Report</h3>
+                    <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>
+                        {importedRows} of {totalRows} rows imported • {' '}
+                        <span style={{ color: totalIssues > 0 ? '#f59e0b' : 'var(--color-success)' }}>
+                            {totalIssues} row{totalIssues !== 1 ? 's' : ''} need{totalIssues === 1 ? 's' : ''} attention
+                        </span>
+                    </p>
+                </div>
+                {totalIssues > 0 && (
+                    <button
+                        className="btn"
+                        onClick={() => setExpanded(!expanded)}
+                        style={{ background: 'transparent', border: '1px solid var(--border-color)' }}
+                    >
+                        {expanded ? 'Hide Details' : 'Show Details'}
+                    </button>
+                )}
+            </div>
+
+            {expanded && reports.map((report, idx) => (
+                <div key={idx} className="mt-md">
+                    {reports.length > 1 && (
+                        <h4 style={{ color: 'var(--color-accent)', marginBottom: '0.5rem' }}>
+                            {report.fileName || report.source}
+                        </h4>
+                    )}
+
+                    {report.issueCount === 0 && (
+                        <p style={{ color: 'var(--color-text-muted)', fontSize: '0.875rem' }}>No issues</p>
+                    )}
+
+                    {SECTIONS.filter(section => report[section.key].length > 0).map(section => (
+                        <div key={section.key} style={{ marginBottom: '1rem' }}>
+                            <div style={{ fontWeight: '600', fontSize: '0.9rem' }}>
+                                {section.title} ({section.grouped
+                                    ? report[section.key].reduce((sum, group) => sum + group.count, 0)
+                                    : report[section.key].length})
+                            </div>
+                            <div style={{ color: 'var(--color-text-muted)', fontSize: '0.8rem', marginBottom: '0.5rem' }}>
+                                {section.hint}
+                            </div>
+
+                            <div className="table-container">
+                                <table>
+                                    <tbody>
+                                        {section.grouped ? report[section.key].map(group => (
+                                            <tr key={group.pattern}>
+                                                <td style={{ fontWeight: '600' }}>{group.pattern}</td>
+                                                <td>{group.count} row{group.count !== 1 ? 's' : ''}</td>
+                                                <td>{formatCurrency(group.amount)}</td>
+                                                <td style={{ fontSize: '0.8rem', color: 'var(--color-text-muted)' }}>
+                                                    {group.examples.map((row, i) => <div key={i}>{describeRow(row)}</div>)}
+                                                </td>
+                                            </tr>
+                                        )) : report[section.key].map((row, i) => (
+                                            <tr key={i}>
+                                                <td>{formatDate(row.date)}</td>
+                                                <td style={{ fontWeight: '600' }}>{row.symbol}</td>
+                                                <td style={{ fontSize: '0.8rem' }}>{row.action || row.description}</td>
+                                                <td>{row.account}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default ImportReport;
@@ -0,0 +1,135 @@
+import { useState } from 'react';
+import { LOT_METHODS, SECURITY_TYPES, securityType } from '../utils/lotSelection';
+
+function LotMethodSettings({ overrides, onChange, symbols = [], globalMethod }) {
+    const [symbol, setSymbol] = useState('');
+    const [method, setMethod] = useState(LOT_METHODS[0].id);
+
+    const selectStyle = {
+        background: 'var(--bg-darker)',
+        color: 'var(--color-text)',
+        border: '1px solid var(--border-color)',
+        borderRadius: '4px',
+        padding: '0.4rem 0.5rem',
+        fontSize: '0.9rem'
+    };
+
+    const labelStyle = {
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '0.25rem',
+        fontSize: '0.8rem',
+        color: 'var(--color-text-muted)'
+    };
+
+    const types = overrides.types || {};
+    const symbolOverrides = overrides.symbols || {};
+
+    const setTypeMethod = (type, value) => {
+        const next = { ...types };
+        if (value) next[type] = value;
+        else delete next[type];
+        onChange({ ...overrides, types: next });
+    };
+
+    const handleAddSymbol = (e) => {
+        e.preventDefault();
+        const ticker = symbol.trim().toUpperCase();
+        if (!ticker) return;
+
+        onChange({ ...overrides, symbols: { ...symbolOverrides, [ticker]: method } });
+        setSymbol('');
+    };
+
+    const handleRemoveSymbol = (ticker) => {
+        const next = { ...symbolOverrides };
+        delete next[ticker];
+        onChange({ ...overrides, symbols: next });
+    };
+
+    const methodLabel = (id) => LOT_METHODS.find(m => m.id === id)?.label || id;
+
+    return (
+        <div className="card" style={{ marginBottom: '2rem' }}>
+            <h3 style={{ marginBottom: '0.5rem' }}>Lot Relief Methods</h3>
+            <p style={{ color: 'var(--color-text-muted)', marginBottom: '1.5rem', fontSize: '0.9rem' }}>
+                Match your broker's cost basis elections. A symbol's method wins over its security type's, which wins over
+                the Tax Strategy selector ({globalMethod}). Mutual funds are five-letter symbols ending in X.
+            </p>
+
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', marginBottom: '1.5rem' }}>
+                {SECURITY_TYPES.map(type => (
+                    <label key={type.id} style={labelStyle}>
+                        {type.label}
+                        <select value={types[type.id] || ''} onChange={(e) => setTypeMethod(type.id, e.target.value)} style={selectStyle}>
+                            <option value="">Tax Strategy setting</option>
+                            {LOT_METHODS.map(m => (
+                                <option key={m.id} value={m.id}>{m.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                ))}
+            </div>
+
+            <form onSubmit={handleAddSymbol} style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', alignItems: 'flex-end', marginBottom: '1rem' }}>
+                <label style={labelStyle}>
+                    Symbol
+                    <input
+                        list="lot-method-symbols"
+                        value={symbol}
+                        onChange={(e) => setSymbol(e.target.value)}
+                        placeholder="VTSAX"
+                        style={{ ...selectStyle, width: '7rem' }}
+                    />
+                    <datalist id="lot-method-symbols">
+                        {symbols.map(s => <option key={s} value={s} />)}
+                    </datalist>
+                </label>
+                <label style={labelStyle}>
+                    Method
+                    <select value={method} onChange={(e) => setMethod(e.target.value)} style={selectStyle}>
+                        {LOT_METHODS.map(m => (
+                            <option key={m.id} value={m.id}>{m.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <button type="submit" className="btn btn-primary">Set for Symbol</button>
+            </form>
+
+            {Object.keys(symbolOverrides).length > 0 && (
+                <div className="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Symbol</th>
+                                <th>Type</th>
+                                <th>Method</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {Object.entries(symbolOverrides).sort(([a], [b]) => a.localeCompare(b)).map(([ticker, id]) => (
+                                <tr key={ticker}>
+                                    <td style={{ fontWeight: '600', color: 'var(--color-accent)' }}>{ticker}</td>
+                                    <td>{SECURITY_TYPES.find(t => t.id === securityType(ticker))?.label}</td>
+                                    <td>{methodLabel(id)}</td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        <button
+                                            className="btn"
+                                            onClick={() => handleRemoveSymbol(ticker)}
+                                            style={{ background: 'transparent', border: '1px solid var(--border-color)', padding: '0.25rem 0.75rem' }}
+                                        >
+                                            Remove
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default LotMethodSettings;
@@ -0,0 +1,108 @@
+import { useState } from 'react';
+
+function LotPicker({ trade, choices = [], onSave, onCancel }) {
+    const lots = trade.availableLots || [];
+    const [quantities, setQuantities] = useState(() => Object.fromEntries(
+        choices.map(choice => [choice.lotId, String(choice.quantity)])
+    ));
+
+    const inputStyle = {
+        background: 'var(--bg-darker)',
+        color: 'var(--color-text)',
+        border: '1px solid var(--border-color)',
+        borderRadius: '4px',
+        padding: '0.25rem 0.5rem',
+        fontSize: '0.85rem',
+        width: '6rem'
+    };
+
+    const formatCurrency = (value) => new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD',
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 4
+    }).format(value || 0);
+
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    });
+
+    const chosenFor = (lot) => Math.min(Math.max(parseFloat(quantities[lot.lotId]) || 0, 0), lot.quantity);
+    const totalChosen = lots.reduce((sum, lot) => sum + chosenFor(lot), 0);
+    const overChosen = totalChosen > trade.quantity;
+
+    const handleSave = () => {
+        onSave(lots
+            .filter(lot => chosenFor(lot) > 0)
+            .map(lot => ({ lotId: lot.lotId, quantity: chosenFor(lot) })));
+    };
+
+    return (
+        <div style={{ padding: '1rem', background: 'var(--bg-darker)', borderRadius: '8px' }}>
+            <p style={{ fontSize: '0.85rem', color: 'var(--color-text-muted)', marginBottom: '0.75rem' }}>
+                Choose the lots this sale of {trade.quantity} {trade.symbol} shares came from. Shares not assigned to a lot
+                are matched with the default method.
+            </p>
+            {lots.length === 0 ? (
+                <p style={{ fontSize: '0.85rem', color: 'var(--color-text-muted)' }}>No open lots at the time of this sale.</p>
+            ) : (
+                <table style={{ fontSize: '0.85rem' }}>
+                    <thead>
+                        <tr>
+                            <th>Acquired</th>
+                            <th>Open Shares</th>
+                            <th>Cost/Share</th>
+                            <th>Sell From Lot</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {lots.map(lot => (
+                            <tr key={lot.lotId}>
+                                <td>{formatDate(lot.date)}</td>
+                                <td>{lot.quantity}</td>
+                                <td>{formatCurrency(lot.costPerShare)}</td>
+                                <td>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        max={lot.quantity}
+                                        step="any"
+                                        value={quantities[lot.lotId] || ''}
+                                        onChange={(e) => setQuantities(prev => ({ ...prev, [lot.lotId]: e.target.value }))}
+                                        style={inputStyle}
+                                    />
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.75rem', flexWrap: 'wrap' }}>
+                <span style={{ fontSize: '0.85rem', color: overChosen ? 'var(--color-danger)' : 'var(--color-text-muted)', marginRight: 'auto' }}>
+                    {totalChosen} of {trade.quantity} shares chosen{overChosen ? ' (more than were sold)' : ''}
+                </span>
+                <button className="btn btn-primary" onClick={handleSave} disabled={overChosen}>Save Lots</button>
+                {choices.length > 0 && (
+                    <button
+                        className="btn"
+                        onClick={() => onSave([])}
+                        style={{ background: 'transparent', border: '1px solid var(--border-color)' }}
+                    >
+                        Clear
+                    </button>
+                )}
+                <button
+                    className="btn"
+                    onClick={onCancel}
+                    style={{ background: 'transparent', border: '1px solid var(--border-color)' }}
+                >
+                    Cancel
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default LotPicker;
@@ -0,0 +1,303 @@
+import { useState } from 'react';
+import { parseQuotesCSV, quoteSymbol, today } from '../utils/quotes';
+import { SECTION_1256_TERM } from '../utils/section1256';
+
+// Typed prices are committed on blur or Enter, so every keystroke doesn't re-run the valuation
+function PriceInput({ symbol, quote, onCommit, style }) {
+    const saved = quote ? String(quote.price) : '';
+    const [draft, setDraft] = useState(saved);
+    const [editing, setEditing] = useState(false);
+
+    const commit = () => {
+        setEditing(false);
+        if (draft.trim() === saved) return;
+        onCommit(symbol, draft.trim());
+    };
+
+    return (
+        <input
+            type="number"
+            min="0"
+            step="any"
+            placeholder="Price"
+            value={editing ? draft : saved}
+            onFocus={() => { setDraft(saved); setEditing(true); }}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
+            style={style}
+        />
+    );
+}
+
+function OpenPositions({ positions, quotes, onQuotesChange }) {
+    const [importError, setImportError] = useState(null);
+    const { stocks, shortStocks, options, totals } = positions;
+
+    const inputStyle = {
+        background: 'var(--bg-darker)',
+        color: 'var(--color-text)',
+        border: '1px solid var(--border-color)',
+        borderRadius: '4px',
+        padding: '0.25rem 0.4rem',
+        fontSize: '0.85rem',
+        width: '6rem'
+    };
+
+    const formatCurrency = (value) => {
+        const formatted = new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD',
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        }).format(Math.abs(value || 0));
+
+        return value < 0 ? `-${formatted}` : formatted;
+    };
+
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    });
+
+    const plColor = (value) => (value >= 0 ? 'var(--color-success)' : 'var(--color-danger)');
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setImportError(null);
+        try {
+            onQuotesChange({ ...quotes, ...parseQuotesCSV(await file.text()) });
+        } catch (err) {
+            setImportError(err.message);
+        }
+    };
+
+    // A cleared price removes the quote
+    const handlePriceChange = (symbol, value) => {
+        const price = parseFloat(value);
+        const next = { ...quotes };
+        if (value === '' || !(price >= 0)) delete next[quoteSymbol(symbol)];
+        else next[quoteSymbol(symbol)] = { price, date: today() };
+        onQuotesChange(next);
+    };
+
+    const termBadge = (row) => {
+        const is1256 = row.term === SECTION_1256_TERM;
+        const title = is1256
+            ? 'Section 1256 contract: 60% long-term, 40% short-term, marked to market at year end'
+            : (row.longTermOn ? `Long-term from ${formatDate(row.longTermOn)}` : undefined);
+
+        return (
+            <span
+                title={title}
+                style={{
+                    padding: '0.2rem 0.5rem',
+                    borderRadius: '4px',
+                    fontSize: '0.75rem',
+                    background: is1256 ? 'rgba(99, 102, 241, 0.1)' : row.term === 'LONG' ? 'rgba(16, 185, 129, 0.1)' : 'rgba(245, 158, 11, 0.1)',
+                    color: is1256 ? 'var(--color-accent)' : row.term === 'LONG' ? '#10b981' : '#f59e0b',
+                    cursor: title ? 'help' : 'default'
+                }}
+            >
+                {is1256 ? '60/40' : row.term === 'LONG' ? 'Long-term' : 'Short-term'}
+            </span>
+        );
+    };
+
+    const priceCells = (row) => (
+        <>
+            <td>
+                <PriceInput symbol={row.symbol} quote={quotes[quoteSymbol(row.symbol)]} onCommit={handlePriceChange} style={inputStyle} />
+                {row.priceDate && (
+                    <div style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>as of {formatDate(`${row.priceDate}T00:00:00`)}</div>
+                )}
+            </td>
+            <td>{row.marketValue === null ? '-' : formatCurrency(row.marketValue)}</td>
+            <td style={{ color: row.unrealizedPL === null ? 'inherit' : plColor(row.unrealizedPL), fontWeight: '600' }}>
+                {row.unrealizedPL === null ? '-' : formatCurrency(row.unrealizedPL)}
+            </td>
+        </>
+    );
+
+    const symbolCell = (row) => (
+        <td style={{ fontWeight: '600', color: 'var(--color-accent)' }}>
+            {row.symbol}
+            {row.account && (
+                <div style={{ fontSize: '0.75rem', fontWeight: '400', color: 'var(--color-text-muted)' }}>{row.account}</div>
+            )}
+        </td>
+    );
+
+    const emptyRow = (colSpan, text) => (
+        <tr>
+            <td colSpan={colSpan} style={{ textAlign: 'center', padding: '2rem', color: 'var(--color-text-muted)' }}>{text}</td>
+        </tr>
+    );
+
+    return (
+        <div>
+            <div className="stats-grid" style={{ marginBottom: '2rem' }}>
+                <div className="stat-card">
+                    <div className="stat-label">Market Value</div>
+                    <div className="stat-value neutral">{formatCurrency(totals.marketValue)}</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-label">Unrealized P&L</div>
+                    <div className={`stat-value ${totals.unrealizedPL >= 0 ? 'positive' : 'negative'}`}>{formatCurrency(totals.unrealizedPL)}</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-label">Short-Term Unrealized</div>
+                    <div className={`stat-value ${totals.shortTermPL >= 0 ? 'positive' : 'negative'}`}>{formatCurrency(totals.shortTermPL)}</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-label">Long-Term Unrealized</div>
+                    <div className={`stat-value ${totals.longTermPL >= 0 ? 'positive' : 'negative'}`}>{formatCurrency(totals.longTermPL)}</div>
+                </div>
+            </div>
+
+            <div className="card" style={{ marginBottom: '2rem' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+                    <h2>Open Positions</h2>
+                    <label className="btn" style={{ background: 'transparent', border: '1px solid var(--border-color)', cursor: 'pointer' }}>
+                        Import Quotes CSV
+                        <input type="file" accept=".csv" onChange={handleImport} style={{ display: 'none' }} />
+                    </label>
+                </div>
+                <p style={{ color: 'var(--color-text-muted)', marginBottom: '1.5rem', fontSize: '0.9rem' }}>
+                    Lots and contracts still open after every imported transaction. Prices come from a quotes CSV (Symbol, Price
+                    and optionally Date columns) or are typed in below; nothing is fetched online and prices are saved in this
+                    browser. Totals cover priced positions only; short positions count against market value.
+                    {totals.unpricedCount > 0 && ` ${totals.unpricedCount} position${totals.unpricedCount === 1 ? ' has' : 's have'} no price.`}
+                </p>
+
+                {importError && (
+                    <p style={{ color: 'var(--color-danger)', marginBottom: '1rem', fontSize: '0.9rem' }}>{importError}</p>
+                )}
+
+                <h3 style={{ marginBottom: '0.75rem' }}>Stocks</h3>
+                <div className="table-container" style={{ marginBottom: '1.5rem' }}>
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Symbol</th>
+                                <th>Shares</th>
+                                <th>Acquired</th>
+                                <th>Age</th>
+                                <th>Term</th>
+                                <th>Cost Basis</th>
+                                <th>Price</th>
+                                <th>Market Value</th>
+                                <th>Unrealized</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {stocks.length === 0 ? emptyRow(9, 'No open stock lots') : stocks.map((row, idx) => (
+                                <tr key={idx}>
+                                    {symbolCell(row)}
+                                    <td>{row.quantity}</td>
+                                    <td>
+                                        {formatDate(row.date)}
+                                        {row.washReplacement && (
+                                            <span title="Wash sale replacement: basis and holding period include the disallowed loss" style={{ cursor: 'help', marginLeft: '0.5rem' }}>
+                                                ⚠️
+                                            </span>
+                                        )}
+                                    </td>
+                                    <td>{row.ageDays}d</td>
+                                    <td>{termBadge(row)}</td>
+                                    <td>
+                                        {formatCurrency(row.costBasis)}
+                                        <div style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>{formatCurrency(row.costPerShare)}/sh</div>
+                                    </td>
+                                    {priceCells(row)}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                {shortStocks.length > 0 && (
+                    <>
+                        <h3 style={{ marginBottom: '0.75rem' }}>Short Stock</h3>
+                        <div className="table-container" style={{ marginBottom: '1.5rem' }}>
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Symbol</th>
+                                        <th>Shares</th>
+                                        <th>Sold Short</th>
+                                        <th>Age</th>
+                                        <th>Proceeds</th>
+                                        <th>Price</th>
+                                        <th>Cost to Cover</th>
+                                        <th>Unrealized</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {shortStocks.map((row, idx) => (
+                                        <tr key={idx}>
+                                            {symbolCell(row)}
+                                            <td>{row.quantity}</td>
+                                            <td>{formatDate(row.date)}</td>
+                                            <td>{row.ageDays}d</td>
+                                            <td>{formatCurrency(row.proceeds)}</td>
+                                            {priceCells(row)}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </>
+                )}
+
+                <h3 style={{ marginBottom: '0.75rem' }}>Options</h3>
+                <div className="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Contract</th>
+                                <th>Side</th>
+                                <th>Contracts</th>
+                                <th>Opened</th>
+                                <th>Expires</th>
+                                <th>Term</th>
+                                <th>Premium</th>
+                                <th>Price</th>
+                                <th>Market Value</th>
+                                <th>Unrealized</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {options.length === 0 ? emptyRow(10, 'No open option contracts') : options.map((row, idx) => (
+                                <tr key={idx}>
+                                    {symbolCell(row)}
+                                    <td>{row.side === 'SHORT' ? 'Short' : 'Long'} {row.optionType === 'CALL' ? 'Call' : 'Put'}</td>
+                                    <td>{row.quantity}</td>
+                                    <td>
+                                        {formatDate(row.date)}
+                                        <div style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>{row.ageDays}d</div>
+                                    </td>
+                                    <td>{row.expiry ? formatDate(row.expiry) : '-'}</td>
+                                    <td>{termBadge(row)}</td>
+                                    <td>
+                                        {formatCurrency(row.costBasis)}
+                                        <div style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+                                            {row.markedAt ? `marked ${formatDate(row.markedAt)}` : row.side === 'SHORT' ? 'collected' : 'paid'}
+                                        </div>
+                                    </td>
+                                    {priceCells(row)}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default OpenPositions;
@@ -0,0 +1,260 @@
+import { useState } from 'react';
+import { parseOpeningPositionsCSV, validateOpeningLot } from '../utils/openingPositions';
+
+const emptyForm = {
+    symbol: '',
+    quantity: '',
+    date: '',
+    costBasis: '',
+    account: ''
+};
+
+function OpeningPositionsEditor({ entries, onChange, orphanSells = [], accounts = [], firstTransactionDate }) {
+    const defaultAccount = accounts.length === 1 ? accounts[0] : '';
+    const [form, setForm] = useState({ ...emptyForm, account: defaultAccount });
+    const [formError, setFormError] = useState(null);
+
+    const inputStyle = {
+        background: 'var(--bg-darker)',
+        color: 'var(--color-text)',
+        border: '1px solid var(--border-color)',
+        borderRadius: '4px',
+        padding: '0.4rem 0.5rem',
+        fontSize: '0.9rem'
+    };
+
+    const labelStyle = {
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '0.25rem',
+        fontSize: '0.8rem',
+        color: 'var(--color-text-muted)'
+    };
+
+    const formatCurrency = (value) => new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD',
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    }).format(value || 0);
+
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    });
+
+    // Opening lots should predate the imported history; later ones are probably duplicates of imported buys
+    const isAfterHistoryStart = (entry) => {
+        if (!firstTransactionDate) return false;
+        const [year, month, day] = entry.date.split('-').map(Number);
+        return new Date(year, month - 1, day) >= firstTransactionDate;
+    };
+
+    const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        setFormError(null);
+
+        const entry = {
+            id: Date.now().toString(36),
+            symbol: form.symbol.trim().toUpperCase(),
+            quantity: parseFloat(form.quantity),
+            date: form.date,
+            costBasis: parseFloat(form.costBasis),
+            account: form.account
+        };
+
+        const problem = validateOpeningLot(entry);
+        if (problem) {
+            setFormError(problem.charAt(0).toUpperCase() + problem.slice(1));
+            return;
+        }
+
+        onChange([...entries, entry]);
+        setForm({ ...emptyForm, account: form.account });
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setFormError(null);
+        try {
+            const imported = parseOpeningPositionsCSV(await file.text(), defaultAccount);
+            onChange([...entries, ...imported]);
+        } catch (err) {
+            setFormError(err.message);
+        }
+    };
+
+    const handleRemove = (id) => {
+        onChange(entries.filter(entry => entry.id !== id));
+    };
+
+    const prefillFromSell = (trade) => {
+        setForm({
+            ...emptyForm,
+            symbol: trade.symbol,
+            quantity: String(trade.missingBasis),
+            account: trade.account || defaultAccount
+        });
+    };
+
+    return (
+        <div>
+            {orphanSells.length > 0 && (
+                <div className="card" style={{ marginBottom: '2rem', borderColor: 'rgba(239, 68, 68, 0.3)' }}>
+                    <h3 style={{ marginBottom: '0.5rem' }}>Sells Without Buy History</h3>
+                    <p style={{ color: 'var(--color-text-muted)', marginBottom: '1rem', fontSize: '0.9rem' }}>
+                        These sells found no lots and are booked as long-term with a $0 cost basis. Add the lots they came from.
+                    </p>
+                    <div className="table-container">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Sell Date</th>
+                                    <th>Symbol</th>
+                                    <th>Shares Missing</th>
+                                    <th>Account</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {orphanSells.map((trade, idx) => (
+                                    <tr key={idx}>
+                                        <td>{formatDate(trade.date)}</td>
+                                        <td style={{ fontWeight: '600', color: 'var(--color-accent)' }}>{trade.symbol}</td>
+                                        <td>{trade.missingBasis}</td>
+                                        <td>{trade.account || '-'}</td>
+                                        <td style={{ textAlign: 'right' }}>
+                                            <button
+                                                className="btn"
+                                                onClick={() => prefillFromSell(trade)}
+                                                style={{ background: 'transparent', border: '1px solid var(--border-color)', padding: '0.25rem 0.75rem' }}
+                                            >
+                                                Add Lot
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            <div className="card" style={{ marginBottom: '2rem' }}>
+                <h2 style={{ marginBottom: '0.5rem' }}>Opening Positions</h2>
+                <p style={{ color: 'var(--color-text-muted)', marginBottom: '1.5rem', fontSize: '0.9rem' }}>
+                    Shares bought before your export starts. Each lot keeps its acquisition date and total cost basis and is
+                    matched like an imported buy. Import a CSV with Symbol, Quantity, Date Acquired, Cost Basis and optionally
+                    Account columns, or add lots one at a time. Lots are saved in this browser.
+                </p>
+
+                <form
+                    onSubmit={handleAdd}
+                    style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', alignItems: 'flex-end', marginBottom: '1.5rem' }}
+                >
+                    <label style={labelStyle}>
+                        Symbol
+                        <input value={form.symbol} onChange={updateField('symbol')} placeholder="AAPL" style={{ ...inputStyle, width: '7rem' }} />
+                    </label>
+                    <label style={labelStyle}>
+                        Shares
+                        <input type="number" min="0" step="any" value={form.quantity} onChange={updateField('quantity')} style={{ ...inputStyle, width: '6rem' }} />
+                    </label>
+                    <label style={labelStyle}>
+                        Date Acquired
+                        <input type="date" value={form.date} onChange={updateField('date')} style={inputStyle} />
+                    </label>
+                    <label style={labelStyle}>
+                        Total Cost Basis ($)
+                        <input type="number" min="0" step="any" value={form.costBasis} onChange={updateField('costBasis')} style={{ ...inputStyle, width: '8rem' }} />
+                    </label>
+                    {accounts.length > 1 && (
+                        <label style={labelStyle}>
+                            Account
+                            <select value={form.account} onChange={updateField('account')} style={inputStyle}>
+                                <option value="">Any Account</option>
+                                {accounts.map(account => (
+                                    <option key={account} value={account}>{account}</option>
+                                ))}
+                            </select>
+                        </label>
+                    )}
+                    <button type="submit" className="btn btn-primary">Add Lot</button>
+                    <label className="btn" style={{ background: 'transparent', border: '1px solid var(--border-color)', cursor: 'pointer' }}>
+                        Import CSV
+                        <input type="file" accept=".csv" onChange={handleImport} style={{ display: 'none' }} />
+                    </label>
+                </form>
+
+                {formError && (
+                    <p style={{ color: 'var(--color-danger)', marginBottom: '1rem', fontSize: '0.9rem' }}>{formError}</p>
+                )}
+
+                <div className="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Symbol</th>
+                                <th>Shares</th>
+                                <th>Acquired</th>
+                                <th>Cost Basis</th>
+                                <th>Cost/Share</th>
+                                <th>Account</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {entries.length === 0 ? (
+                                <tr>
+                                    <td colSpan="7" style={{ textAlign: 'center', padding: '2rem', color: 'var(--color-text-muted)' }}>
+                                        No opening positions
+                                    </td>
+                                </tr>
+                            ) : (
+                                [...entries]
+                                    .sort((a, b) => a.date.localeCompare(b.date) || a.symbol.localeCompare(b.symbol))
+                                    .map(entry => (
+                                        <tr key={entry.id}>
+                                            <td style={{ fontWeight: '600', color: 'var(--color-accent)' }}>{entry.symbol}</td>
+                                            <td>{entry.quantity}</td>
+                                            <td>
+                                                {formatDate(`${entry.date}T00:00:00`)}
+                                                {isAfterHistoryStart(entry) && (
+                                                    <span
+                                                        title="Acquired after the first imported transaction; this lot may duplicate an imported buy"
+                                                        style={{ cursor: 'help', marginLeft: '0.5rem' }}
+                                                    >
+                                                        ⚠️
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td>{formatCurrency(entry.costBasis)}</td>
+                                            <td>{formatCurrency(entry.costBasis / entry.quantity)}</td>
+                                            <td>{entry.account || 'Any'}</td>
+                                            <td style={{ textAlign: 'right' }}>
+                                                <button
+                                                    className="btn"
+                                                    onClick={() => handleRemove(entry.id)}
+                                                    style={{ background: 'transparent', border: '1px solid var(--border-color)', padding: '0.25rem 0.75rem' }}
+                                                >
+                                                    Remove
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default OpeningPositionsEditor;
@@ -1,4 +1,4 @@
-function OptionsBreakdown({ strategyData, winRate }) {
+function OptionsBreakdown({ strategyData, winRate, chains = [], chainWinRate = 0 }) {
     const formatCurrency = (value) => {
         if (value === undefined || value === null) return '$0.00';
         const formatted = new Intl.NumberFormat('en-US', {
@@ -19,6 +19,13 @@ function OptionsBreakdown({ strategyData, winRate }) {
             description: 'Calls sold against owned stock',
             color: '#10b981'
         },
+        {
+            key: 'nakedCalls',
+            name: 'Naked Calls',
+            icon: '⚠️',
+            description: 'Calls sold without enough shares held',
+            color: '#ef4444'
+        },
         {
             key: 'cashSecuredPuts',
             name: 'Cash-Secured Puts',
@@ -26,7 +33,6 @@ function OptionsBreakdown({ strategyData, winRate }) {
             description: 'Puts sold with cash to cover',
             color: '#6366f1'
         },
-
         {
             key: 'longCalls',
             name: 'Long Calls',
@@ -41,7 +47,52 @@ function OptionsBreakdown({ strategyData, winRate }) {
             description: 'Puts purchased',
             color: '#ec4899'
         }
-    ];
+    ].filter(strategy => strategy.key !== 'nakedCalls' || strategyData.nakedCalls?.tradesCount > 0);
+
+    const structures = [
+        {
+            key: 'verticalSpreads',
+            name: 'Vertical Spreads',
+            icon: '↕️',
+            description: 'Bull and bear call or put spreads',
+            color: '#14b8a6'
+        },
+        {
+            key: 'ironCondors',
+            name: 'Iron Condors',
+            icon: '🦅',
+            description: 'Put spread and call spread sold together',
+            color: '#8b5cf6'
+        },
+        {
+            key: 'strangles',
+            name: 'Straddles & Strangles',
+            icon: '⚖️',
+            description: 'A call and a put bought or sold together',
+            color: '#f97316'
+        },
+        {
+            key: 'calendarSpreads',
+            name: 'Calendars & Diagonals',
+            icon: '📅',
+            description: 'Same type, different expirations',
+            color: '#0ea5e9'
+        },
+        {
+            key: 'collars',
+            name: 'Collars',
+            icon: '🧷',
+            description: 'Call sold and put bought on held shares',
+            color: '#84cc16'
+        }
+    ].filter(structure => strategyData[structure.key]?.structures?.length > 0);
+
+    const formatLeg = (leg) => {
+        const expiry = new Date(leg.expiry).toLocaleDateString('en-US', { month: 'numeric', day: 'numeric', year: '2-digit' });
+        return `${leg.side === 'SHORT' ? '-' : '+'}${leg.quantity} ${leg.strike}${leg.optionType === 'CALL' ? 'C' : 'P'} ${expiry}`;
+    };
+
+    const rolledChains = chains.filter(chain => chain.rolls > 0);
 
     // Calculate total premium income from short strategies
     const totalPremiumCollected =
@@ -60,7 +111,9 @@ function OptionsBreakdown({ strategyData, winRate }) {
                 }}>
                     Win Rate: <strong style={{ color: winRate >= 50 ? 'var(--color-success)' : 'var(--color-danger)' }}>
                         {winRate.toFixed(1)}%
-                    </strong>
+                    </strong> per leg • <strong style={{ color: chainWinRate >= 50 ? 'var(--color-success)' : 'var(--color-danger)' }}>
+                        {chainWinRate.toFixed(1)}%
+                    </strong> per chain
                 </div>
             </div>
 
@@ -186,11 +239,163 @@ function OptionsBreakdown({ strategyData, winRate }) {
                                 color: 'var(--color-text-muted)'
                             }}>
                                 {data.tradesCount || 0} trade{(data.tradesCount || 0) !== 1 ? 's' : ''}
+                                {strategy.key === 'nakedCalls' && (
+                                    <span title={(data.trades || []).filter(t => t.coverageMsg).map(t => `${new Date(t.date).toLocaleDateString()} ${t.symbol}: ${t.coverageMsg}`).join('\n')}>
+                                        {' '}• {(data.trades || []).reduce((sum, t) => sum + (t.coverage?.shortfall || 0), 0)} shares short
+                                    </span>
+                                )}
                             </div>
                         </div>
                     );
                 })}
             </div>
+
+            {/* Multi-Leg Structures */}
+            {structures.length > 0 && (
+                <>
+                    <h3 style={{ marginTop: 'var(--spacing-lg)', marginBottom: 'var(--spacing-sm)' }}>Multi-Leg Structures</h3>
+                    <p style={{ fontSize: '0.875rem', color: 'var(--color-text-muted)', marginBottom: 'var(--spacing-md)' }}>
+                        Legs opened on the same day on the same underlying, counted as one position. A structure is a win when
+                        all of its legs are closed for a net gain.
+                    </p>
+                    <div style={{
+                        display: 'grid',
+                        gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))',
+                        gap: 'var(--spacing-md)'
+                    }}>
+                        {structures.map(structure => {
+                            const data = strategyData[structure.key];
+
+                            return (
+                                <div
+                                    key={structure.key}
+                                    style={{
+                                        background: 'rgba(30, 30, 50, 0.6)',
+                                        border: `1px solid ${structure.color}33`,
+                                        borderRadius: '12px',
+                                        padding: 'var(--spacing-md)'
+                                    }}
+                                >
+                                    <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: 'var(--spacing-sm)' }}>
+                                        <span style={{ fontSize: '1.5rem' }}>{structure.icon}</span>
+                                        <div>
+                                            <h3 style={{ margin: 0, color: structure.color }}>{structure.name}</h3>
+                                            <div style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+                                                {structure.description}
+                                            </div>
+                                        </div>
+                                    </div>
+
+                                    <div style={{
+                                        display: 'grid',
+                                        gridTemplateColumns: '1fr 1fr',
+                                        gap: '0.5rem',
+                                        fontSize: '0.875rem'
+                                    }}>
+                                        <div>
+                                            <div style={{ color: 'var(--color-text-muted)' }}>Net P&L</div>
+                                            <div style={{
+                                                fontWeight: '600',
+                                                color: data.netPL >= 0 ? 'var(--color-success)' : 'var(--color-danger)'
+                                            }}>
+                                                {formatCurrency(data.netPL)}
+                                            </div>
+                                        </div>
+                                        <div>
+                                            <div style={{ color: 'var(--color-text-muted)' }}>Max Risk</div>
+                                            <div style={{ fontWeight: '600' }}>
+                                                {data.undefinedRiskCount === data.structures.length ? 'Undefined' : formatCurrency(data.maxRisk)}
+                                                {data.undefinedRiskCount > 0 && data.undefinedRiskCount < data.structures.length && (
+                                                    <span style={{ fontWeight: '400', color: 'var(--color-text-muted)' }}> + {data.undefinedRiskCount} undefined</span>
+                                                )}
+                                            </div>
+                                        </div>
+                                        <div>
+                                            <div style={{ color: 'var(--color-text-muted)' }}>Win Rate</div>
+                                            <div style={{ fontWeight: '600', color: data.winRate >= 50 ? 'var(--color-success)' : 'var(--color-danger)' }}>
+                                                {data.closedCount > 0 ? `${data.winRate.toFixed(1)}%` : '-'}
+                                            </div>
+                                        </div>
+                                        <div>
+                                            <div style={{ color: 'var(--color-text-muted)' }}>Closed</div>
+                                            <div style={{ fontWeight: '600' }}>
+                                                {data.closedCount} of {data.structures.length}
+                                            </div>
+                                        </div>
+                                    </div>
+
+                                    <div style={{
+                                        marginTop: 'var(--spacing-sm)',
+                                        paddingTop: 'var(--spacing-sm)',
+                                        borderTop: '1px solid rgba(255,255,255,0.1)',
+                                        fontSize: '0.8rem',
+                                        color: 'var(--color-text-muted)'
+                                    }}>
+                                        {data.structures.map(item => (
+                                            <div
+                                                key={item.id}
+                                                style={{ display: 'flex', justifyContent: 'space-between', gap: '0.5rem', padding: '0.2rem 0' }}
+                                                title={item.legs.map(formatLeg).join('\n')}
+                                            >
+                                                <span>
+                                                    {new Date(item.date).toLocaleDateString()} {item.underlyingSymbol} {item.name}
+                                                    {!item.closed && ' (open)'}
+                                                </span>
+                                                <span style={{ color: item.netPL >= 0 ? 'var(--color-success)' : 'var(--color-danger)' }}>
+                                                    {formatCurrency(item.netPL)}
+                                                </span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </>
+            )}
+
+            {/* Rolled Positions */}
+            {rolledChains.length > 0 && (
+                <>
+                    <h3 style={{ marginTop: 'var(--spacing-lg)', marginBottom: 'var(--spacing-sm)' }}>Rolled Positions</h3>
+                    <p style={{ fontSize: '0.875rem', color: 'var(--color-text-muted)', marginBottom: 'var(--spacing-md)' }}>
+                        A close and a new open of the same option type on the same underlying and day is a roll. Each chain runs
+                        from the first open to the final close and counts once in the per-chain win rate.
+                    </p>
+                    <div className="table-container">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Underlying</th>
+                                    <th>Opened</th>
+                                    <th>Rolls</th>
+                                    <th>Contracts</th>
+                                    <th>Net Credit/Debit</th>
+                                    <th>P&L</th>
+                                    <th>Status</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rolledChains.map(chain => (
+                                    <tr key={chain.id}>
+                                        <td style={{ fontWeight: '600', color: 'var(--color-accent)' }}>{chain.underlyingSymbol}</td>
+                                        <td>{new Date(chain.startDate).toLocaleDateString()}</td>
+                                        <td>{chain.rolls}</td>
+                                        <td style={{ fontSize: '0.8rem' }}>{chain.contracts.join(' → ')}</td>
+                                        <td style={{ color: chain.netPremium >= 0 ? 'var(--color-success)' : 'var(--color-danger)' }}>
+                                            {formatCurrency(chain.netPremium)} {chain.netPremium >= 0 ? 'credit' : 'debit'}
+                                        </td>
+                                        <td style={{ fontWeight: '600', color: chain.netPL >= 0 ? 'var(--color-success)' : 'var(--color-danger)' }}>
+                                            {formatCurrency(chain.netPL)}
+                                        </td>
+                                        <td>{chain.closed ? `Closed ${new Date(chain.endDate).toLocaleDateString()}` : 'Open'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
         </div>
     );
 }
@@ -0,0 +1,158 @@
+import { useState } from 'react';
+import { DEFAULT_SECTION_1256_UNDERLYINGS, normalizeUnderlying } from '../utils/section1256';
+import { quoteSymbol } from '../utils/quotes';
+
+function Section1256Settings({ underlyings, onChange, marks, onMarksChange }) {
+    const [symbol, setSymbol] = useState('');
+    const [markYear, setMarkYear] = useState(String(new Date().getFullYear() - 1));
+    const [markSymbol, setMarkSymbol] = useState('');
+    const [markPrice, setMarkPrice] = useState('');
+
+    const inputStyle = {
+        background: 'var(--bg-darker)',
+        color: 'var(--color-text)',
+        border: '1px solid var(--border-color)',
+        borderRadius: '4px',
+        padding: '0.4rem 0.5rem',
+        fontSize: '0.9rem',
+        width: '7rem'
+    };
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        const underlying = normalizeUnderlying(symbol);
+        if (!underlying) return;
+
+        if (!underlyings.includes(underlying)) onChange([...underlyings, underlying]);
+        setSymbol('');
+    };
+
+    // Marks are keyed by the contract's normalized symbol, as quotes are
+    const handleAddMark = (e) => {
+        e.preventDefault();
+        const year = parseInt(markYear);
+        const contract = quoteSymbol(markSymbol);
+        const price = parseFloat(markPrice);
+        if (!(year > 1900) || !contract || !(price >= 0)) return;
+
+        onMarksChange({ ...marks, [year]: { ...marks[year], [contract]: price } });
+        setMarkSymbol('');
+        setMarkPrice('');
+    };
+
+    const handleRemoveMark = (year, contract) => {
+        const prices = { ...marks[year] };
+        delete prices[contract];
+        const next = { ...marks, [year]: prices };
+        if (Object.keys(prices).length === 0) delete next[year];
+        onMarksChange(next);
+    };
+
+    const savedMarks = Object.entries(marks)
+        .flatMap(([year, prices]) => Object.entries(prices).map(([contract, price]) => ({ year, contract, price })))
+        .sort((a, b) => b.year - a.year || a.contract.localeCompare(b.contract));
+
+    const isDefault = underlyings.length === DEFAULT_SECTION_1256_UNDERLYINGS.length &&
+        DEFAULT_SECTION_1256_UNDERLYINGS.every(underlying => underlyings.includes(underlying));
+
+    return (
+        <div className="card" style={{ marginBottom: '2rem' }}>
+            <h3 style={{ marginBottom: '0.5rem' }}>Section 1256 Underlyings</h3>
+            <p style={{ color: 'var(--color-text-muted)', marginBottom: '1rem', fontSize: '0.9rem' }}>
+                Options on these broad-based indexes are Section 1256 contracts: 60% long-term and 40% short-term whatever
+                the holding period, marked to market at year end and reported on Form 6781. Add the root your export uses for
+                index futures options.
+            </p>
+
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginBottom: '1rem' }}>
+                {underlyings.map(underlying => (
+                    <span
+                        key={underlying}
+                        style={{
+                            display: 'inline-flex',
+                            alignItems: 'center',
+                            gap: '0.4rem',
+                            padding: '0.25rem 0.6rem',
+                            borderRadius: '4px',
+                            fontSize: '0.85rem',
+                            background: 'rgba(99, 102, 241, 0.1)',
+                            color: 'var(--color-accent)'
+                        }}
+                    >
+                        {underlying}
+                        <button
+                            onClick={() => onChange(underlyings.filter(u => u !== underlying))}
+                            title={`Treat ${underlying} options as equity options`}
+                            style={{ background: 'transparent', border: 'none', color: 'var(--color-text-muted)', cursor: 'pointer', padding: 0 }}
+                        >
+                            ×
+                        </button>
+                    </span>
+                ))}
+            </div>
+
+            <form onSubmit={handleAdd} style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', alignItems: 'center' }}>
+                <input value={symbol} onChange={(e) => setSymbol(e.target.value)} placeholder="SPX" style={inputStyle} />
+                <button type="submit" className="btn btn-primary">Add</button>
+                {!isDefault && (
+                    <button
+                        type="button"
+                        className="btn"
+                        onClick={() => onChange(DEFAULT_SECTION_1256_UNDERLYINGS)}
+                        style={{ background: 'transparent', border: '1px solid var(--border-color)' }}
+                    >
+                        Reset to Defaults
+                    </button>
+                )}
+            </form>
+
+            <h4 style={{ marginTop: '1.5rem', marginBottom: '0.5rem' }}>Year-End Marks</h4>
+            <p style={{ color: 'var(--color-text-muted)', marginBottom: '1rem', fontSize: '0.9rem' }}>
+                Settlement price on the year's last trading day of each contract still open at year end; it applies as of
+                December 31. Contracts without a mark are not marked to market.
+            </p>
+
+            {savedMarks.length > 0 && (
+                <div className="table-container" style={{ marginBottom: '1rem' }}>
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Year</th>
+                                <th>Contract</th>
+                                <th>Price</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {savedMarks.map(({ year, contract, price }) => (
+                                <tr key={`${year}|${contract}`}>
+                                    <td>{year}</td>
+                                    <td style={{ fontWeight: '600', color: 'var(--color-accent)' }}>{contract}</td>
+                                    <td>{price}</td>
+                                    <td>
+                                        <button
+                                            onClick={() => handleRemoveMark(year, contract)}
+                                            title="Remove this mark"
+                                            style={{ background: 'transparent', border: 'none', color: 'var(--color-text-muted)', cursor: 'pointer', padding: 0 }}
+                                        >
+                                            ×
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <form onSubmit={handleAddMark} style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', alignItems: 'center' }}>
+                <input type="number" value={markYear} onChange={(e) => setMarkYear(e.target.value)} placeholder="Year" style={{ ...inputStyle, width: '5rem' }} />
+                <input value={markSymbol} onChange={(e) => setMarkSymbol(e.target.value)} placeholder="SPX251219C6000" style={{ ...inputStyle, width: '12rem' }} />
+                <input type="number" min="0" step="any" value={markPrice} onChange={(e) => setMarkPrice(e.target.value)} placeholder="Price" style={inputStyle} />
+                <button type="submit" className="btn btn-primary">Add Mark</button>
+            </form>
+        </div>
+    );
+}
+
+export default Section1256Settings;
@@ -1,20 +1,31 @@
 import React, { useMemo } from 'react';
 import { generateTaxReport } from '../utils/pdfGenerator';
+import { SECTION_1256_TERM, summarizeForm6781 } from '../utils/section1256';
 
 function TaxReport({ trades }) {
     const report = useMemo(() => {
         const summary = {
-            shortTerm: { proceeds: 0, cost: 0, gain: 0, count: 0 },
-            longTerm: { proceeds: 0, cost: 0, gain: 0, count: 0 },
-            washSales: { count: 0, potentialDisallowed: 0 } // Placeholder for future deep logic
+            shortTerm: { proceeds: 0, cost: 0, adjustment: 0, gain: 0, count: 0 },
+            longTerm: { proceeds: 0, cost: 0, adjustment: 0, gain: 0, count: 0 },
+            section1256: { proceeds: 0, cost: 0, adjustment: 0, gain: 0, count: 0 },
+            washSales: { count: 0, disallowed: 0 }
         };
 
         const washSaleTrades = [];
 
         trades.forEach(trade => {
-            // Include stock SELLS and closed/expired/assigned option trades
-            const isStockSell = trade.type === 'SELL';
-            const isClosedOption = ['BUY_CLOSE', 'SELL_CLOSE', 'EXPIRED', 'ASSIGNED'].includes(trade.type);
+            // Section 1256 contracts (closed or marked to market) go on Form 6781 instead of Form 8949
+            if (trade.term === SECTION_1256_TERM) {
+                summary.section1256.proceeds += (trade.totalProceeds || 0);
+                summary.section1256.cost += (trade.totalCost || 0);
+                summary.section1256.gain += (trade.realizedPL || 0);
+                summary.section1256.count++;
+                return;
+            }
+
+            // Include stock SELLS (and short covers) and closed/expired/assigned option trades
+            const isStockSell = trade.type === 'SELL' || trade.type === 'COVER';
+            const isClosedOption = ['BUY_CLOSE', 'SELL_CLOSE', 'EXPIRED', 'ASSIGNED', 'EXERCISED'].includes(trade.type);
 
             if (isStockSell) {
                 // Stock trades
@@ -22,25 +33,35 @@ function TaxReport({ trades }) {
 
                 summary[term].proceeds += (trade.totalProceeds || 0);
                 summary[term].cost += (trade.totalCost || 0);
+                // Disallowed wash sale losses are the Form 8949 adjustment (code W)
+                summary[term].adjustment += (trade.washSaleDisallowed || 0);
                 summary[term].gain += (trade.realizedPL || 0);
                 summary[term].count++;
 
                 if (trade.isWashSale) {
                     summary.washSales.count++;
+                    summary.washSales.disallowed += trade.washSaleDisallowed;
                     washSaleTrades.push(trade);
                 }
-            } else if (isClosedOption && trade.realizedPL !== 0) {
-                // Options trades (treated as short-term)
-                const term = 'shortTerm'; // Options are typically short-term
+            } else if (isClosedOption && (trade.realizedPL !== 0 || trade.isWashSale)) {
+                // Options trades: written options are always short-term, long options follow their holding period
+                const term = trade.term === 'LONG' ? 'longTerm' : 'shortTerm';
 
                 summary[term].proceeds += (trade.totalProceeds || 0);
                 summary[term].cost += (trade.totalCost || 0);
+                summary[term].adjustment += (trade.washSaleDisallowed || 0);
                 summary[term].gain += (trade.realizedPL || 0);
                 summary[term].count++;
+
+                if (trade.isWashSale) {
+                    summary.washSales.count++;
+                    summary.washSales.disallowed += trade.washSaleDisallowed;
+                    washSaleTrades.push(trade);
+                }
             }
         });
 
-        return { summary, washSaleTrades };
+        return { summary, washSaleTrades, form6781: summarizeForm6781(trades) };
     }, [trades]);
 
     const handleDownload = () => {
@@ -49,11 +70,14 @@ function TaxReport({ trades }) {
 
     const formatCurrency = (val) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(Math.abs(val));
     const formatNumber = (val) => new Intl.NumberFormat('en-US').format(val);
+    const formatSigned = (val) => `${val < 0 ? '-' : ''}${formatCurrency(val)}`;
+
+    const total = (field) => report.summary.shortTerm[field] + report.summary.longTerm[field] + report.summary.section1256[field];
 
     const SectionRow = ({ title, data, color }) => (
         <div className="report-row" style={{
             display: 'grid',
-            gridTemplateColumns: '2fr 1fr 1fr 1fr',
+            gridTemplateColumns: '2fr 1fr 1fr 1fr 1fr',
             padding: '1rem',
             borderBottom: '1px solid var(--border-color)',
             alignItems: 'center'
@@ -61,6 +85,7 @@ function TaxReport({ trades }) {
             <div style={{ fontWeight: '600', color: color || 'var(--color-text)' }}>{title}</div>
             <div style={{ textAlign: 'right' }}>{formatCurrency(data.proceeds)}</div>
             <div style={{ textAlign: 'right' }}>{formatCurrency(data.cost)}</div>
+            <div style={{ textAlign: 'right' }}>{data.adjustment ? formatCurrency(data.adjustment) : '-'}</div>
             <div style={{
                 textAlign: 'right',
                 fontWeight: 'bold',
@@ -89,7 +114,7 @@ function TaxReport({ trades }) {
 
                 <div className="report-header" style={{
                     display: 'grid',
-                    gridTemplateColumns: '2fr 1fr 1fr 1fr',
+                    gridTemplateColumns: '2fr 1fr 1fr 1fr 1fr',
                     padding: '0.5rem 1rem',
                     background: 'rgba(255,255,255,0.05)',
                     fontWeight: 'bold',
@@ -100,6 +125,7 @@ function TaxReport({ trades }) {
                     <div>Term</div>
                     <div style={{ textAlign: 'right' }}>Proceeds</div>
                     <div style={{ textAlign: 'right' }}>Cost Basis</div>
+                    <div style={{ textAlign: 'right' }}>Wash Sale Adj.</div>
                     <div style={{ textAlign: 'right' }}>Realized Gain/Loss</div>
                 </div>
 
@@ -115,9 +141,17 @@ function TaxReport({ trades }) {
                     color="var(--color-success)"
                 />
 
+                {report.summary.section1256.count > 0 && (
+                    <SectionRow
+                        title={`Section 1256 (60/40) • ${report.summary.section1256.count} trades`}
+                        data={report.summary.section1256}
+                        color="#f59e0b"
+                    />
+                )}
+
                 <div className="report-total" style={{
                     display: 'grid',
-                    gridTemplateColumns: '2fr 1fr 1fr 1fr',
+                    gridTemplateColumns: '2fr 1fr 1fr 1fr 1fr',
                     padding: '1.5rem 1rem',
                     marginTop: '1rem',
                     background: 'rgba(0,0,0,0.2)',
@@ -126,26 +160,73 @@ function TaxReport({ trades }) {
                     fontSize: '1.1rem'
                 }}>
                     <div>Net Total</div>
-                    <div style={{ textAlign: 'right' }}>{formatCurrency(report.summary.shortTerm.proceeds + report.summary.longTerm.proceeds)}</div>
-                    <div style={{ textAlign: 'right' }}>{formatCurrency(report.summary.shortTerm.cost + report.summary.longTerm.cost)}</div>
+                    <div style={{ textAlign: 'right' }}>{formatCurrency(total('proceeds'))}</div>
+                    <div style={{ textAlign: 'right' }}>{formatCurrency(total('cost'))}</div>
+                    <div style={{ textAlign: 'right' }}>{report.summary.washSales.disallowed ? formatCurrency(report.summary.washSales.disallowed) : '-'}</div>
                     <div style={{
                         textAlign: 'right',
-                        color: (report.summary.shortTerm.gain + report.summary.longTerm.gain) >= 0 ? 'var(--color-success)' : 'var(--color-danger)'
+                        color: total('gain') >= 0 ? 'var(--color-success)' : 'var(--color-danger)'
                     }}>
-                        {(report.summary.shortTerm.gain + report.summary.longTerm.gain) < 0 ? '-' : ''}
-                        {formatCurrency(report.summary.shortTerm.gain + report.summary.longTerm.gain)}
+                        {total('gain') < 0 ? '-' : ''}
+                        {formatCurrency(total('gain'))}
                     </div>
                 </div>
             </div>
 
+            {report.form6781.length > 0 && (
+                <div className="card" style={{ marginBottom: '2rem' }}>
+                    <h3 style={{ marginBottom: '1rem' }}>Form 6781: Section 1256 Contracts</h3>
+                    <p style={{ color: 'var(--color-text-muted)', marginBottom: '1rem', fontSize: '0.9rem' }}>
+                        Index options closed during the year or still open at year end and marked to market. The net gain or loss
+                        is 40% short-term (Schedule D line 4) and 60% long-term (Schedule D line 11), whatever the holding period.
+                        Contracts without a year-end mark are not marked; enter December 31 prices under Open Positions.
+                    </p>
+                    {report.form6781.map(year => (
+                        <div key={year.year} style={{ marginBottom: '1.5rem' }}>
+                            <h4 style={{ marginBottom: '0.5rem' }}>{year.year}</h4>
+                            <div className="table-wrapper" style={{ maxHeight: '300px', overflowY: 'auto', marginBottom: '0.75rem' }}>
+                                <table style={{ fontSize: '0.9rem' }}>
+                                    <thead>
+                                        <tr>
+                                            <th>Date</th>
+                                            <th>Contract</th>
+                                            <th>Event</th>
+                                            <th>Gain/Loss</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {year.trades.map((t, idx) => (
+                                            <tr key={idx}>
+                                                <td>{new Date(t.date).toLocaleDateString()}</td>
+                                                <td style={{ fontWeight: 'bold' }}>{t.symbol}</td>
+                                                <td>{t.type === 'MARK_TO_MARKET' ? `Marked to market at ${formatCurrency(t.price)}` : t.type}</td>
+                                                <td style={{ color: t.realizedPL < 0 ? 'var(--color-danger)' : 'var(--color-success)' }}>
+                                                    {formatSigned(t.realizedPL)}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1.5rem', fontSize: '0.9rem' }}>
+                                <span>Line 7 net: <strong>{formatSigned(year.net)}</strong></span>
+                                <span>Line 8 short-term (40%): <strong>{formatSigned(year.shortTerm)}</strong></span>
+                                <span>Line 9 long-term (60%): <strong>{formatSigned(year.longTerm)}</strong></span>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
             {report.washSaleTrades.length > 0 && (
                 <div className="card">
                     <h3 style={{ color: 'var(--color-danger)', marginBottom: '1rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                        ⚠️ Potential Wash Sales Detected ({report.washSaleTrades.length})
+                        ⚠️ Wash Sales ({report.washSaleTrades.length})
                     </h3>
                     <p style={{ color: 'var(--color-text-muted)', marginBottom: '1rem', fontSize: '0.9rem' }}>
-                        The following trades resulted in a loss within 30 days of purchasing a substantially identical security.
-                        These losses may be disallowed for tax purposes.
+                        These sales, and options closed at a loss, had the same stock (or the underlying), or calls on it, bought within
+                        30 days before or after. {formatCurrency(report.summary.washSales.disallowed)} of loss is disallowed this year and
+                        added to the basis of the replacements, whose holding period includes the time the sold position was held.
                     </p>
                     <div className="table-wrapper" style={{ maxHeight: '300px', overflowY: 'auto' }}>
                         <table style={{ fontSize: '0.9rem' }}>
@@ -153,7 +234,9 @@ function TaxReport({ trades }) {
                                 <tr>
                                     <th>Date</th>
                                     <th>Symbol</th>
-                                    <th>Loss Amount</th>
+                                    <th>Loss on Sale</th>
+                                    <th>Disallowed</th>
+                                    <th>Reported Gain/Loss</th>
                                     <th>Note</th>
                                 </tr>
                             </thead>
@@ -162,7 +245,11 @@ function TaxReport({ trades }) {
                                     <tr key={idx}>
                                         <td>{new Date(t.date).toLocaleDateString()}</td>
                                         <td style={{ fontWeight: 'bold' }}>{t.symbol}</td>
-                                        <td style={{ color: 'var(--color-danger)' }}>{formatCurrency(t.realizedPL)}</td>
+                                        <td style={{ color: 'var(--color-danger)' }}>-{formatCurrency(t.realizedPL - t.washSaleDisallowed)}</td>
+                                        <td>{formatCurrency(t.washSaleDisallowed)}</td>
+                                        <td style={{ color: t.realizedPL < 0 ? 'var(--color-danger)' : 'var(--color-text)' }}>
+                                            {t.realizedPL < 0 ? '-' : ''}{formatCurrency(t.realizedPL)}
+                                        </td>
                                         <td style={{ fontStyle: 'italic', opacity: 0.8 }}>{t.washSaleMsg}</td>
                                     </tr>
                                 ))}
@@ -1,8 +1,12 @@
-import { useState } from 'react';
+import { Fragment, useState } from 'react';
+import { parseOptionSymbol } from '../utils/optionSymbol';
+import LotPicker from './LotPicker';
 
-function TransactionTable({ transactions, trades }) {
+// lotSelections is set in SpecID mode: sell rows then get a lot picker
+function TransactionTable({ transactions, trades, lotSelections = null, onLotSelectionChange }) {
     const [view, setView] = useState('trades'); // 'trades' or 'all'
     const [filter, setFilter] = useState('all'); // 'all', 'stocks', 'options'
+    const [pickingSale, setPickingSale] = useState(null); // saleKey of the sell row with an open lot picker
 
     const formatCurrency = (value) => {
         if (value === undefined || value === null) return '-';
@@ -23,10 +27,12 @@ function TransactionTable({ transactions, trades }) {
         });
     };
 
+    const isOptionTrade = (trade) => Boolean(trade.optionType) || parseOptionSymbol(trade.symbol) !== null;
+
     const getFilteredTrades = () => {
         if (filter === 'all') return trades;
-        if (filter === 'stocks') return trades.filter(t => !t.symbol.includes('C') && !t.symbol.includes('P'));
-        if (filter === 'options') return trades.filter(t => t.symbol.includes('C') || t.symbol.includes('P') || t.type.includes('OPTION'));
+        if (filter === 'stocks') return trades.filter(t => !isOptionTrade(t));
+        if (filter === 'options') return trades.filter(t => isOptionTrade(t));
         return trades;
     };
 
@@ -116,56 +122,126 @@ function TransactionTable({ transactions, trades }) {
                                                 nakedCalls: 'Naked Call',
                                                 cashSecuredPuts: 'Cash-Secured Put',
                                                 longCalls: 'Long Call',
-                                                longPuts: 'Long Put'
+                                                longPuts: 'Long Put',
+                                                verticalSpreads: 'Vertical Spread',
+                                                ironCondors: 'Iron Condor',
+                                                strangles: 'Strangle / Straddle',
+                                                calendarSpreads: 'Calendar Spread',
+                                                collars: 'Collar'
                                             };
                                             return names[strategy] || strategy;
                                         };
 
+                                        const canPickLots = lotSelections && trade.type === 'SELL' && trade.saleKey;
+
                                         return (
-                                            <tr key={idx}>
-                                                <td>{formatDate(trade.date)}</td>
-                                                <td style={{ fontWeight: '600', color: 'var(--color-accent)' }}>{trade.symbol}</td>
-                                                <td>{trade.type}</td>
-                                                <td style={{
-                                                    fontSize: '0.8rem',
-                                                    color: trade.strategy ? 'var(--color-text)' : 'var(--color-text-muted)'
-                                                }}>
-                                                    {formatStrategy(trade.strategy)}
-                                                </td>
-                                                <td>{trade.quantity || '-'}</td>
-                                                <td>{trade.premium ? formatCurrency(trade.premium) : (trade.price ? formatCurrency(trade.price) : '-')}</td>
-                                                <td>
-                                                    {trade.term && (
-                                                        <span style={{
-                                                            fontSize: '0.75rem',
-                                                            padding: '2px 6px',
-                                                            borderRadius: '4px',
-                                                            background: trade.term === 'LONG' ? 'rgba(16, 185, 129, 0.1)' : 'rgba(99, 102, 241, 0.1)',
-                                                            color: trade.term === 'LONG' ? 'var(--color-success)' : 'var(--color-accent)',
-                                                            fontWeight: '600'
-                                                        }}>
-                                                            {trade.term}
-                                                        </span>
-                                                    )}
-                                                </td>
-                                                <td style={{
-                                                    fontWeight: '600',
-                                                    color: trade.realizedPL > 0 ? 'var(--color-success)' : trade.realizedPL < 0 ? 'var(--color-danger)' : 'var(--color-text)',
-                                                    display: 'flex',
-                                                    alignItems: 'center',
-                                                    gap: '0.5rem'
-                                                }}>
-                                                    {trade.realizedPL !== undefined && trade.realizedPL !== 0 ? formatCurrency(trade.realizedPL) : '-'}
-                                                    {trade.isWashSale && (
-                                                        <span
-                                                            title={trade.washSaleMsg}
-                                                            style={{ cursor: 'help', fontSize: '1.2em' }}
-                                                        >
-                                                            ⚠️
-                                                        </span>
-                                                    )}
-                                                </td>
-                                            </tr>
+                                            <Fragment key={idx}>
+                                                <tr>
+                                                    <td>{formatDate(trade.date)}</td>
+                                                    <td style={{ fontWeight: '600', color: 'var(--color-accent)' }}>{trade.symbol}</td>
+                                                    <td>
+                                                        {trade.reinvestment ? 'REINVEST' : trade.type}
+                                                        {trade.lotMethod && (
+                                                            <span
+                                                                title={trade.lots.map(lot => `${lot.quantity} sh acquired ${formatDate(lot.date)} at ${formatCurrency(lot.cost / lot.quantity)}/sh: ${lot.method || 'no buy history'}`).join('\n')}
+                                                                style={{ marginLeft: '0.5rem', fontSize: '0.75rem', color: 'var(--color-text-muted)', cursor: 'help' }}
+                                                            >
+                                                                {trade.lotMethod}
+                                                            </span>
+                                                        )}
+                                                        {canPickLots && (
+                                                            <button
+                                                                onClick={() => setPickingSale(pickingSale === trade.saleKey ? null : trade.saleKey)}
+                                                                title={trade.lotsChosen ? 'Lots chosen for this sale' : 'Choose the lots sold'}
+                                                                style={{
+                                                                    marginLeft: '0.5rem',
+                                                                    padding: '1px 6px',
+                                                                    borderRadius: '4px',
+                                                                    fontSize: '0.75rem',
+                                                                    cursor: 'pointer',
+                                                                    background: trade.lotsChosen ? 'rgba(99, 102, 241, 0.2)' : 'transparent',
+                                                                    border: '1px solid var(--border-color)',
+                                                                    color: trade.lotsChosen ? 'var(--color-accent)' : 'var(--color-text-muted)'
+                                                                }}
+                                                            >
+                                                                Lots
+                                                            </button>
+                                                        )}
+                                                    </td>
+                                                    <td style={{
+                                                        fontSize: '0.8rem',
+                                                        color: trade.strategy ? 'var(--color-text)' : 'var(--color-text-muted)'
+                                                    }}>
+                                                        {formatStrategy(trade.strategy)}
+                                                    </td>
+                                                    <td>{trade.quantity || '-'}</td>
+                                                    <td>{trade.premium ? formatCurrency(trade.premium) : (trade.price ? formatCurrency(trade.price) : '-')}</td>
+                                                    <td>
+                                                        {trade.term && (
+                                                            <span style={{
+                                                                fontSize: '0.75rem',
+                                                                padding: '2px 6px',
+                                                                borderRadius: '4px',
+                                                                background: trade.term === 'LONG' ? 'rgba(16, 185, 129, 0.1)' : 'rgba(99, 102, 241, 0.1)',
+                                                                color: trade.term === 'LONG' ? 'var(--color-success)' : 'var(--color-accent)',
+                                                                fontWeight: '600'
+                                                            }}>
+                                                                {trade.term === 'SECTION_1256' ? '60/40' : trade.term}
+                                                            </span>
+                                                        )}
+                                                    </td>
+                                                    <td style={{
+                                                        fontWeight: '600',
+                                                        color: trade.realizedPL > 0 ? 'var(--color-success)' : trade.realizedPL < 0 ? 'var(--color-danger)' : 'var(--color-text)',
+                                                        display: 'flex',
+                                                        alignItems: 'center',
+                                                        gap: '0.5rem'
+                                                    }}>
+                                                        {trade.realizedPL !== undefined && trade.realizedPL !== 0 ? formatCurrency(trade.realizedPL) : '-'}
+                                                        {(trade.premiumTransferred > 0 || trade.premiumAdjustment) && (
+                                                            <span
+                                                                title={trade.premiumTransferred > 0
+                                                                    ? `Premium of ${formatCurrency(trade.premiumTransferred)} moved to the ${trade.linkedStockTrade.symbol} ${trade.linkedStockTrade.type === 'SELL' ? 'sale' : 'purchase'} on ${formatDate(trade.linkedStockTrade.date)}`
+                                                                    : `Includes ${formatCurrency(trade.premiumAdjustment.premium)} option premium from ${trade.premiumAdjustment.optionSymbols.join(', ')}`}
+                                                                style={{ cursor: 'help', fontSize: '1.2em' }}
+                                                            >
+                                                                🔗
+                                                            </span>
+                                                        )}
+                                                        {(trade.isWashSale || trade.washSaleDisallowed > 0) && (
+                                                            <span
+                                                                title={trade.washSaleMsg}
+                                                                style={{ cursor: 'help', fontSize: '1.2em' }}
+                                                            >
+                                                                ⚠️
+                                                            </span>
+                                                        )}
+                                                        {trade.coverageMsg && (
+                                                            <span
+                                                                title={trade.coverageMsg}
+                                                                style={{ cursor: 'help', fontSize: '1.2em', color: 'var(--color-danger)' }}
+                                                            >
+                                                                ⛔
+                                                            </span>
+                                                        )}
+                                                    </td>
+                                                </tr>
+                                                {pickingSale === trade.saleKey && canPickLots && (
+                                                    <tr>
+                                                        <td colSpan="8">
+                                                            <LotPicker
+                                                                trade={trade}
+                                                                choices={lotSelections[trade.saleKey]}
+                                                                onSave={(choices) => {
+                                                                    onLotSelectionChange(trade.saleKey, choices);
+                                                                    setPickingSale(null);
+                                                                }}
+                                                                onCancel={() => setPickingSale(null)}
+                                                            />
+                                                        </td>
+                                                    </tr>
+                                                )}
+                                            </Fragment>
                                         );
                                     })
                             )}
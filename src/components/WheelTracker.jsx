@@ -0,0 +1,136 @@
+import { Fragment, useState } from 'react';
+
+function WheelTracker({ cycles }) {
+    const [expanded, setExpanded] = useState(null);
+
+    const formatCurrency = (value) => {
+        const formatted = new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD',
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        }).format(Math.abs(value || 0));
+
+        return value < 0 ? `-${formatted}` : formatted;
+    };
+
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    });
+
+    const plColor = (value) => (value >= 0 ? 'var(--color-success)' : 'var(--color-danger)');
+
+    const eventColors = {
+        PUT_SOLD: '#6366f1',
+        CALL_SOLD: '#10b981',
+        ASSIGNED: '#f59e0b',
+        CALLED_AWAY: '#ec4899',
+        SHARES_BOUGHT: '#f59e0b',
+        SHARES_SOLD: '#ec4899'
+    };
+
+    const completed = cycles.filter(cycle => cycle.status === 'CLOSED');
+    const totalReturn = completed.reduce((sum, cycle) => sum + cycle.totalReturn, 0);
+
+    return (
+        <div className="card mt-lg">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-md)' }}>
+                <h2>Wheel Cycles</h2>
+                <div style={{ fontSize: '0.875rem', color: 'var(--color-text-muted)' }}>
+                    {completed.length} completed • <strong style={{ color: plColor(totalReturn) }}>{formatCurrency(totalReturn)}</strong>
+                    {cycles.length > completed.length && ` • ${cycles.length - completed.length} open`}
+                </div>
+            </div>
+            <p style={{ fontSize: '0.875rem', color: 'var(--color-text-muted)', marginBottom: 'var(--spacing-md)' }}>
+                Each cycle runs from the first cash-secured put to the shares being called away or sold. Capital is the most
+                tied up at once (puts at their strike plus shares held); open cycles are measured to today.
+            </p>
+
+            <div className="table-container">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Underlying</th>
+                            <th>Started</th>
+                            <th>Status</th>
+                            <th>Days</th>
+                            <th>Premium</th>
+                            <th>Stock P&L</th>
+                            <th>Total</th>
+                            <th>Capital</th>
+                            <th>Annualized</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {cycles.map(cycle => (
+                            <Fragment key={cycle.id}>
+                                <tr>
+                                    <td style={{ fontWeight: '600', color: 'var(--color-accent)' }}>
+                                        {cycle.underlyingSymbol}
+                                        {cycle.account && (
+                                            <div style={{ fontSize: '0.75rem', fontWeight: '400', color: 'var(--color-text-muted)' }}>{cycle.account}</div>
+                                        )}
+                                    </td>
+                                    <td>{formatDate(cycle.startDate)}</td>
+                                    <td>
+                                        {cycle.status === 'OPEN'
+                                            ? (cycle.shares > 0 ? `Holding ${cycle.shares} shares` : 'Selling puts')
+                                            : cycle.outcome}
+                                    </td>
+                                    <td>{cycle.days}</td>
+                                    <td style={{ color: plColor(cycle.premium) }}>{formatCurrency(cycle.premium)}</td>
+                                    <td style={{ color: plColor(cycle.stockPL) }}>{formatCurrency(cycle.stockPL)}</td>
+                                    <td style={{ fontWeight: '600', color: plColor(cycle.totalReturn) }}>{formatCurrency(cycle.totalReturn)}</td>
+                                    <td>{formatCurrency(cycle.capital)}</td>
+                                    <td style={{ color: plColor(cycle.annualizedReturn) }}>{cycle.annualizedReturn.toFixed(1)}%</td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        <button
+                                            className="btn"
+                                            onClick={() => setExpanded(expanded === cycle.id ? null : cycle.id)}
+                                            style={{ background: 'transparent', border: '1px solid var(--border-color)', padding: '0.25rem 0.75rem' }}
+                                        >
+                                            {expanded === cycle.id ? 'Hide' : 'Timeline'}
+                                        </button>
+                                    </td>
+                                </tr>
+                                {expanded === cycle.id && (
+                                    <tr>
+                                        <td colSpan="10">
+                                            <div style={{ padding: '0.5rem 1rem', background: 'var(--bg-darker)', borderRadius: '8px' }}>
+                                                {cycle.events.map((event, idx) => (
+                                                    <div
+                                                        key={idx}
+                                                        style={{
+                                                            display: 'flex',
+                                                            alignItems: 'center',
+                                                            gap: '0.75rem',
+                                                            padding: '0.4rem 0',
+                                                            borderLeft: `2px solid ${eventColors[event.kind] || 'var(--border-color)'}`,
+                                                            paddingLeft: '0.75rem',
+                                                            fontSize: '0.85rem'
+                                                        }}
+                                                    >
+                                                        <span style={{ color: 'var(--color-text-muted)', minWidth: '7rem' }}>{formatDate(event.date)}</span>
+                                                        <span style={{ flex: 1 }}>{event.label}</span>
+                                                        {event.amount !== 0 && (
+                                                            <span style={{ color: plColor(event.amount) }}>{formatCurrency(event.amount)}</span>
+                                                        )}
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        </td>
+                                    </tr>
+                                )}
+                            </Fragment>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
+
+export default WheelTracker;
@@ -0,0 +1,70 @@
+/**
+ * Registry of broker import adapters
+ *
+ * An adapter describes one brokerage export format:
+ * {
+ *   id: 'fidelity',                     // stored as `source` on parse results
+ *   name: 'Fidelity',                   // display name
+ *   format: 'csv',                      // file format: 'csv' (default), 'xml' or 'ofx'
+ *   detect: (input) => boolean,         // recognizes the format from CSV headers (or raw text)
+ *   normalize: (input) => Array,        // maps raw rows (or raw text) to normalized transactions
+ *   features: { options: true, ... }    // what the format can express
+ * }
+ */
+const adapters = [];
+
+/**
+ * Register a broker adapter. Re-registering an id replaces the previous adapter.
+ * @param {Object} adapter - Adapter definition (see above)
+ */
+export function registerBrokerAdapter(adapter) {
+    if (!adapter?.id || typeof adapter.detect !== 'function' || typeof adapter.normalize !== 'function') {
+        throw new Error('Broker adapter needs an id, a detect() and a normalize() function');
+    }
+
+    const existing = adapters.findIndex(a => a.id === adapter.id);
+    const entry = { format: 'csv', features: {}, ...adapter };
+    if (existing >= 0) {
+        adapters[existing] = entry;
+    } else {
+        adapters.push(entry);
+    }
+}
+
+/**
+ * Remove a registered adapter (used when a saved custom format is deleted)
+ */
+export function unregisterBrokerAdapter(id) {
+    const index = adapters.findIndex(a => a.id === id);
+    if (index >= 0) adapters.splice(index, 1);
+}
+
+/**
+ * Get a registered adapter by id
+ */
+export function getBrokerAdapter(id) {
+    return adapters.find(a => a.id === id) || null;
+}
+
+/**
+ * List registered adapters in detection order, optionally for one file format
+ */
+export function listBrokerAdapters(format) {
+    return format ? adapters.filter(a => a.format === format) : [...adapters];
+}
+
+/**
+ * Find the first adapter of a file format that recognizes the input
+ * @param {Array<string>|string} input - CSV header fields, or raw text for non-CSV formats
+ * @param {string} format - File format the adapters must handle
+ * @returns {Object|null} - Matching adapter, or null if the format is unknown
+ */
+export function detectBrokerAdapter(input, format = 'csv') {
+    const candidates = adapters.filter(a => a.format === format);
+    if (format !== 'csv') {
+        return candidates.find(a => a.detect(input)) || null;
+    }
+
+    const fields = (input || []).map(h => (h || '').trim());
+    return candidates.find(a => a.detect(fields)) || null;
+}
@@ -0,0 +1,137 @@
+import { loadJSON, saveJSON } from './storage';
+
+/**
+ * Corporate actions: splits, reverse splits and ticker changes
+ *
+ * Importers emit transactions with transactionType 'SPLIT' or 'SYMBOL_CHANGE' and a
+ * `corporateAction` object:
+ * - SPLIT:         { ratio } (new shares per old share) and/or { sharesDelta }, the signed
+ *                  share change of that row; the ratio is derived from holdings if missing
+ * - SYMBOL_CHANGE: { fromSymbol, toSymbol }, or { sharesDelta } on each of the
+ *                  paired removal (-) / receipt (+) rows
+ *
+ * The gains engine applies them to open stock lots and option positions.
+ */
+export const CORPORATE_ACTION_TYPES = ['SPLIT', 'SYMBOL_CHANGE'];
+
+const STORAGE_KEY = 'corporateActions';
+
+/**
+ * Read a split ratio from text like "SPLIT 4 FOR 1" or "1 FOR 10 REVERSE SPLIT"
+ * @returns {number|null} - New shares per old share
+ */
+export function parseSplitRatio(text) {
+    const match = (text || '').toUpperCase().match(/(\d+(?:\.\d+)?)\s*(?:-\s*)?FOR\s*(?:-\s*)?(\d+(?:\.\d+)?)/);
+    if (!match) return null;
+
+    const ratio = parseFloat(match[1]) / parseFloat(match[2]);
+    return ratio > 0 && isFinite(ratio) ? ratio : null;
+}
+
+/**
+ * Collapse the multi-row forms brokers use into one transaction per event:
+ * reverse splits (old shares out, new shares in) and ticker changes (old symbol out,
+ * new symbol in). Other transactions pass through unchanged.
+ */
+export function consolidateCorporateActions(transactions) {
+    const result = [];
+    const splits = new Map();
+    const symbolChanges = new Map();
+
+    for (const txn of transactions) {
+        const action = txn.corporateAction;
+
+        if (txn.transactionType === 'SPLIT' && action && action.sharesDelta !== undefined) {
+            const key = `${txn.account || ''}|${txn.symbol}|${dayKey(txn.date)}`;
+            if (!splits.has(key)) {
+                const merged = { ...txn, corporateAction: { ratio: null, sharesDelta: 0 } };
+                splits.set(key, merged);
+                result.push(merged);
+            }
+            const merged = splits.get(key).corporateAction;
+            merged.sharesDelta += action.sharesDelta || 0;
+            merged.ratio = merged.ratio || action.ratio || null;
+        } else if (txn.transactionType === 'SYMBOL_CHANGE' && action && !(action.fromSymbol && action.toSymbol)) {
+            // The two rows of one change move the same share count out and in, which keeps
+            // several changes posted to an account on the same day apart
+            const key = `${txn.account || ''}|${dayKey(txn.date)}|${Math.abs(action.sharesDelta || 0)}`;
+            const side = (action.sharesDelta || 0) < 0 ? 'fromSymbol' : 'toSymbol';
+            if (!symbolChanges.has(key)) symbolChanges.set(key, []);
+
+            const pending = symbolChanges.get(key);
+            let merged = pending.find(m => !m.corporateAction[side]);
+            if (!merged) {
+                merged = { ...txn, corporateAction: { fromSymbol: '', toSymbol: '' } };
+                pending.push(merged);
+                result.push(merged);
+            }
+            merged.corporateAction[side] = txn.symbol;
+        } else {
+            result.push(txn);
+        }
+    }
+
+    // Ticker changes missing one side can't be applied
+    return result.filter(txn => txn.transactionType !== 'SYMBOL_CHANGE' ||
+        (txn.corporateAction.fromSymbol && txn.corporateAction.toSymbol &&
+            txn.corporateAction.fromSymbol !== txn.corporateAction.toSymbol));
+}
+
+/**
+ * Ticker in parentheses from a broker action, e.g. "REVERSE SPLIT ... TESLA INC (TSLA) (Cash)" -> TSLA.
+ * Split rows sometimes carry a CUSIP in the symbol column instead of the ticker.
+ */
+export function tickerFromAction(action) {
+    const matches = [...(action || '').toUpperCase().matchAll(/\(([A-Z][A-Z0-9.]*)\)/g)].map(m => m[1]);
+    return matches.find(t => t !== 'CASH' && t !== 'MARGIN' && t !== 'SHORT') || '';
+}
+
+/**
+ * Convert a manually entered corporate action into a normalized transaction
+ * @param {Object} entry - { id, type: 'SPLIT'|'SYMBOL_CHANGE', date: 'YYYY-MM-DD', symbol, ratio, toSymbol, account }
+ */
+export function manualActionToTransaction(entry) {
+    const [year, month, day] = entry.date.split('-').map(Number);
+    const isSplit = entry.type === 'SPLIT';
+    const symbol = entry.symbol.trim().toUpperCase();
+
+    return {
+        date: new Date(year, month - 1, day),
+        action: isSplit ? `MANUAL SPLIT ${entry.ratio} FOR 1` : `MANUAL SYMBOL CHANGE ${symbol} TO ${entry.toSymbol}`,
+        transactionType: entry.type,
+        symbol,
+        description: 'Manually entered corporate action',
+        quantity: 0,
+        price: 0,
+        commission: 0,
+        fees: 0,
+        amount: 0,
+        isOption: false,
+        optionDetails: null,
+        // Blank account applies the action to every account holding the symbol
+        account: entry.account || '',
+        accountType: '',
+        corporateAction: isSplit
+            ? { ratio: parseFloat(entry.ratio) }
+            : { fromSymbol: symbol, toSymbol: entry.toSymbol.trim().toUpperCase() },
+        rawData: { manualId: entry.id }
+    };
+}
+
+/**
+ * Load manually entered corporate actions from browser storage
+ */
+export function loadManualActions() {
+    return loadJSON(STORAGE_KEY, []);
+}
+
+/**
+ * Persist manually entered corporate actions
+ */
+export function saveManualActions(actions) {
+    saveJSON(STORAGE_KEY, actions);
+}
+
+function dayKey(date) {
+    return date instanceof Date ? date.toDateString() : String(date);
+}
@@ -1,24 +1,34 @@
 import Papa from 'papaparse';
+import { registerBrokerAdapter, getBrokerAdapter, detectBrokerAdapter, listBrokerAdapters } from './brokerAdapters';
+import { parseOptionSymbol } from './optionSymbol';
+import { parseSplitRatio, tickerFromAction } from './corporateActions';
+import { diagnoseImport } from './importDiagnostics';
+import { parseDate } from './dates';
 
 /**
  * Parse CSV file and detect brokerage source
  * @param {File} file - CSV file to parse
- * @returns {Promise<{transactions: Array, source: string}>}
+ * @returns {Promise<{transactions: Array, source: string, report: Object}>}
  */
 export async function parseCSV(file) {
+    const { headers, rows } = await readCSV(file);
+    const source = detectSource(headers);
+    const { transactions, report } = diagnoseImport(normalizeTransactions(rows, source), source);
+    return { transactions, source, report };
+}
+
+/**
+ * Read a CSV file into header fields and row objects, without interpreting it
+ * @param {File|string} file - CSV file (or its text)
+ * @returns {Promise<{headers: Array<string>, rows: Array<Object>}>}
+ */
+export function readCSV(file) {
     return new Promise((resolve, reject) => {
         Papa.parse(file, {
             header: true,
             skipEmptyLines: true,
             complete: (results) => {
-                try {
-                    const headers = results.meta.fields;
-                    const source = detectSource(headers);
-                    const transactions = normalizeTransactions(results.data, source);
-                    resolve({ transactions, source });
-                } catch (error) {
-                    reject(error);
-                }
+                resolve({ headers: results.meta.fields || [], rows: results.data });
             },
             error: (error) => {
                 reject(error);
@@ -28,36 +38,65 @@ export async function parseCSV(file) {
 }
 
 /**
- * Detect brokerage source from CSV headers
+ * Detect brokerage source from CSV headers using the registered adapters
+ * @throws {Error} if no adapter recognizes the headers
  */
 function detectSource(headers) {
-    const headerStr = headers.join(',').toLowerCase();
+    const adapter = detectBrokerAdapter(headers || []);
 
-    // Fidelity has "Run Date" and "Settlement Date"
-    if (headerStr.includes('run date') && headerStr.includes('settlement date')) {
-        return 'fidelity';
+    if (!adapter) {
+        const supported = listBrokerAdapters('csv').map(a => a.name).join(', ');
+        throw new Error(
+            `Unrecognized CSV format (columns: ${(headers || []).join(', ') || 'none'}). ` +
+            `Supported formats: ${supported}.`
+        );
     }
 
-    // Schwab typically has "Date" and "Exchange Rate"
-    if (headerStr.includes('exchange rate') || headerStr.includes('exchange currency')) {
-        return 'schwab';
-    }
-
-    // Default to fidelity if unclear
-    return 'fidelity';
+    return adapter.id;
 }
 
 /**
  * Normalize transactions to common format
  */
 function normalizeTransactions(data, source) {
-    if (source === 'fidelity') {
-        return normalizeFidelity(data);
-    } else {
-        return normalizeSchwab(data);
+    const adapter = getBrokerAdapter(source);
+    if (!adapter) {
+        throw new Error(`No importer registered for source "${source}"`);
     }
+    return adapter.normalize(data);
 }
 
+registerBrokerAdapter({
+    id: 'fidelity',
+    name: 'Fidelity',
+    // Fidelity has "Run Date" and "Settlement Date"
+    detect: (headers) => hasHeaders(headers, ['run date', 'settlement date']),
+    normalize: (data) => normalizeFidelity(data),
+    features: { options: true, dividends: true, cashBalance: true }
+});
+
+registerBrokerAdapter({
+    id: 'schwab',
+    name: 'Charles Schwab',
+    // Schwab typically has "Date" and "Exchange Rate", or a combined "Fees & Comm" column
+    detect: (headers) => hasHeaders(headers, ['exchange rate']) ||
+        hasHeaders(headers, ['exchange currency']) ||
+        hasHeaders(headers, ['date', 'fees & comm']),
+    normalize: (data) => normalizeSchwab(data),
+    features: { options: true, dividends: true, cashBalance: false }
+});
+
+/**
+ * Check that every expected header is present (case-insensitive, ignores unit suffixes like "($)")
+ */
+export function hasHeaders(headers, expected) {
+    const normalized = headers.map(h => h.toLowerCase().replace(/\s*\(.*\)\s*$/, '').trim());
+    return expected.every(name => normalized.includes(name));
+}
+
+// Action wording of short sales and covers in exports without the Type column
+const SHORT_SALE_PHRASES = ['SHORT SALE', 'SOLD SHORT', 'SHORT COVER', 'BUY TO COVER'];
+
 /**
  * Normalize Fidelity CSV format
  */
@@ -72,14 +111,33 @@ function normalizeFidelity(data) {
         const amount = parseFloat(row['Amount ($)']) || 0;
         const date = parseDate(row['Run Date']);
         const accountType = row['Type'] || '';
+        // All-accounts exports carry an Account column; single-account exports don't
+        const account = (row.Account || row['Account Number'] || '').trim() || 'Fidelity';
 
-        // Detect if this is an option transaction
-        const isOption = symbol.startsWith('-') || action.includes('CALL') || action.includes('PUT');
+        // Detect if this is an option transaction. The share leg of an assignment or exercise
+        // ("YOU SOLD ASSIGNED CALLS ... (TOST)") names the option in its action but trades the stock.
+        const isAssignmentShares = !symbol.startsWith('-') && parseOptionSymbol(symbol) === null &&
+            (action.includes('ASSIGNED') || action.includes('EXERCISED')) &&
+            (action.includes('YOU SOLD') || action.includes('YOU BOUGHT'));
+        const isOption = !isAssignmentShares && (symbol.startsWith('-') || action.includes('CALL') || action.includes('PUT'));
         const optionDetails = isOption ? parseOptionSymbol(symbol) : null;
 
+        // Dividend / capital gain reinvestments buy shares: each one is a lot with its own date and cost
+        const reinvestment = !isOption && action.includes('REINVESTMENT');
+
+        // Short sales are booked in the "Short" account type ("YOU SOLD SHORT SALE", "YOU BOUGHT SHORT COVER").
+        // Only whole phrases count: security names such as DISCOVER FINANCIAL or ISHARES SHORT TREASURY
+        // contain the bare words.
+        const isShort = !isOption && (accountType.trim().toUpperCase() === 'SHORT' ||
+            SHORT_SALE_PHRASES.some(phrase => action.includes(phrase)));
+
         // Determine transaction type
         let transactionType = 'OTHER';
-        if (action.includes('YOU BOUGHT') && !isOption) {
+        if (isShort && action.includes('YOU SOLD')) {
+            transactionType = 'SELL_SHORT';
+        } else if (isShort && action.includes('YOU BOUGHT')) {
+            transactionType = 'BUY_TO_COVER';
+        } else if (reinvestment || (action.includes('YOU BOUGHT') && !isOption)) {
             transactionType = 'BUY';
         } else if (action.includes('YOU SOLD') && !isOption && !action.includes('OPENING') && !action.includes('CLOSING')) {
             transactionType = 'SELL';
@@ -95,15 +153,28 @@ function normalizeFidelity(data) {
             transactionType = 'OPTION_BUY_CLOSE';
         } else if (action.includes('ASSIGNED')) {
             transactionType = 'OPTION_ASSIGNED';
+        } else if (action.includes('EXERCISED')) {
+            transactionType = 'OPTION_EXERCISED';
         } else if (action.includes('EXPIRED')) {
             transactionType = 'OPTION_EXPIRED';
         }
 
+        // Share-side corporate actions; option adjustments are derived by the gains engine
+        let corporateAction = null;
+        if (!isOption && action.includes('SPLIT')) {
+            transactionType = 'SPLIT';
+            corporateAction = { ratio: parseSplitRatio(action), sharesDelta: quantity };
+        } else if (!isOption && (action.includes('SYMBOL CHANGE') || action.includes('NAME CHANGE'))) {
+            transactionType = 'SYMBOL_CHANGE';
+            corporateAction = { sharesDelta: quantity };
+        }
+
         return {
             date,
             action: action,
             transactionType,
-            symbol: symbol.replace('-', ''), // Remove leading dash from options
+            // Remove leading dash from options; split rows may carry a CUSIP instead of the ticker
+            symbol: corporateAction ? tickerFromAction(action) || symbol : symbol.replace('-', ''),
             description: row.Description || '',
             quantity: Math.abs(quantity),
             price,
@@ -112,9 +183,13 @@ function normalizeFidelity(data) {
             amount,
             isOption,
             optionDetails,
+            account,
+            accountType,
+            corporateAction,
+            reinvestment,
             rawData: row
         };
-    }).filter(t => t.symbol); // Filter out rows without symbols
+    }); // Rows without symbols are dropped (and reported) by diagnoseImport
 }
 
 /**
@@ -124,19 +199,49 @@ function normalizeSchwab(data) {
     return data.map(row => {
         const action = row.Action?.toUpperCase() || '';
         const symbol = (row.Symbol || '').trim();
-        const quantity = parseFloat(row.Quantity) || 0;
-        const price = parseFloat(row.Price) || 0;
-        const feesComm = parseFloat(row['Fees & Comm']) || 0;
-        const amount = parseFloat(row.Amount) || 0;
+        const quantity = parseNumber(row.Quantity);
+        const price = parseNumber(row.Price);
+        const feesComm = parseNumber(row['Fees & Comm']);
+        const amount = parseNumber(row.Amount);
         const date = parseDate(row.Date || row['Run Date']);
+        const account = (row.Account || row['Account Number'] || '').trim() || 'Charles Schwab';
 
-        const isOption = symbol.includes('CALL') || symbol.includes('PUT');
-        const optionDetails = isOption ? parseOptionSymbol(symbol) : null;
+        // Schwab option symbols look like "AAPL 01/17/2025 150.00 C"
+        const optionDetails = parseOptionSymbol(symbol);
+        const isOption = optionDetails !== null || symbol.includes('CALL') || symbol.includes('PUT');
+
+        // "Reinvest Shares" buys shares with a dividend; "Reinvest Dividend" is the dividend itself
+        const reinvestment = !isOption && action.includes('REINVEST SHARES');
 
         let transactionType = 'OTHER';
-        if (action.includes('BUY') && !isOption) {
+        if (isOption) {
+            if (action.includes('SELL TO OPEN')) {
+                transactionType = 'OPTION_SELL_OPEN';
+            } else if (action.includes('BUY TO OPEN')) {
+                transactionType = 'OPTION_BUY_OPEN';
+            } else if (action.includes('SELL TO CLOSE')) {
+                transactionType = 'OPTION_SELL_CLOSE';
+            } else if (action.includes('BUY TO CLOSE')) {
+                transactionType = 'OPTION_BUY_CLOSE';
+            } else if (action.includes('ASSIGNED')) {
+                transactionType = 'OPTION_ASSIGNED';
+            } else if (action.includes('EXERCISE')) {
+                // Schwab: "Exchange or Exercise"
+                transactionType = 'OPTION_EXERCISED';
+            } else if (action.includes('EXPIRED')) {
+                transactionType = 'OPTION_EXPIRED';
+            }
+        } else if (action.includes('SPLIT')) {
+            transactionType = 'SPLIT';
+        } else if (action.includes('SYMBOL CHANGE') || action.includes('NAME CHANGE')) {
+            transactionType = 'SYMBOL_CHANGE';
+        } else if (action.includes('SELL SHORT')) {
+            transactionType = 'SELL_SHORT';
+        } else if (action.includes('BUY TO COVER')) {
+            transactionType = 'BUY_TO_COVER';
+        } else if (reinvestment || action.includes('BUY')) {
             transactionType = 'BUY';
-        } else if (action.includes('SELL') && !isOption) {
+        } else if (action.includes('SELL')) {
             transactionType = 'SELL';
         } else if (action.includes('DIVIDEND')) {
             transactionType = 'DIVIDEND';
@@ -155,51 +260,49 @@ function normalizeSchwab(data) {
             amount,
             isOption,
             optionDetails,
+            account,
+            accountType: '',
+            corporateAction: transactionType === 'SPLIT'
+                ? { ratio: parseSplitRatio(`${action} ${row.Description || ''}`), sharesDelta: quantity }
+                : transactionType === 'SYMBOL_CHANGE' ? { sharesDelta: quantity } : null,
+            reinvestment,
             rawData: row
         };
-    }).filter(t => t.symbol);
+    });
 }
 
 /**
- * Parse option symbol (e.g., BMNR260109C31.5 or -BMNR260109C31.5)
+ * Parse a numeric CSV field, tolerating "$1,234.56" style formatting
  */
-function parseOptionSymbol(symbol) {
-    // Remove leading dash if present
-    const cleanSymbol = symbol.replace('-', '');
-
-    // Try to match option format: TICKER + YYMMDD + C/P + STRIKE
-    const match = cleanSymbol.match(/^([A-Z]+)(\d{6})([CP])([\d.]+)$/);
-
-    if (match) {
-        const [, ticker, dateStr, type, strike] = match;
-        const year = 2000 + parseInt(dateStr.substring(0, 2));
-        const month = parseInt(dateStr.substring(2, 4)) - 1;
-        const day = parseInt(dateStr.substring(4, 6));
-
-        return {
-            ticker,
-            expiry: new Date(year, month, day),
-            type: type === 'C' ? 'CALL' : 'PUT',
-            strike: parseFloat(strike)
-        };
-    }
-
-    return null;
+export function parseNumber(value) {
+    if (value === undefined || value === null) return 0;
+    return parseFloat(String(value).replace(/[$,]/g, '')) || 0;
 }
 
 /**
- * Parse date string to Date object
+ * Find the header used for each field. Headers and aliases are compared lowercase with
+ * parenthesized notes and punctuation removed, and each header is claimed by one field at most.
+ * @param {string[]} headers - CSV headers
+ * @param {Object} aliases - { field: [alias, ...] } in order of preference
+ * @returns {Object} - { field: header } for the fields found
  */
-function parseDate(dateStr) {
-    if (!dateStr) return new Date();
-
-    // Try MM/DD/YYYY format (Fidelity)
-    const parts = dateStr.split('/');
-    if (parts.length === 3) {
-        const [month, day, year] = parts;
-        return new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
+export function resolveColumns(headers, aliases) {
+    const normalized = headers.map(header => ({ header, key: normalizeHeader(header) }));
+    const columns = {};
+    const used = new Set();
+
+    for (const [field, fieldAliases] of Object.entries(aliases)) {
+        const match = fieldAliases
+            .map(alias => normalized.find(n => n.key === normalizeHeader(alias) && !used.has(n.header)))
+            .find(Boolean);
+        if (match) {
+            columns[field] = match.header;
+            used.add(match.header);
+        }
     }
+    return columns;
+}
 
-    // Fallback to Date constructor
-    return new Date(dateStr);
+function normalizeHeader(text) {
+    return text.toLowerCase().replace(/\(.*\)/g, '').replace(/[^a-z]/g, '');
 }
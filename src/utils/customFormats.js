@@ -0,0 +1,229 @@
+import { registerBrokerAdapter, unregisterBrokerAdapter } from './brokerAdapters';
+import { resolveColumns } from './csvParser';
+import { parseDate } from './dates';
+import { parseOptionSymbol, formatOptionSymbol } from './optionSymbol';
+import { parseSplitRatio } from './corporateActions';
+import { loadJSON, saveJSON } from './storage';
+
+/**
+ * User-defined CSV formats built with the column-mapping wizard
+ *
+ * A format is saved as:
+ * {
+ *   id: 'custom-my-broker',
+ *   name: 'My Broker',
+ *   headers: ['Trade Date', 'Activity', ...],   // every header of the sample file; used for detection
+ *   columns: { date: 'Trade Date', action: 'Activity', symbol: 'Ticker', ... },
+ *   actionTypes: { 'BOUGHT': 'BUY', 'SOLD': 'SELL', ... }   // uppercase action value -> transactionType
+ * }
+ * and registered as a CSV broker adapter, so later uploads with the same headers import directly.
+ */
+const STORAGE_KEY = 'customFormats';
+
+/**
+ * Normalized fields a CSV column can be mapped to
+ */
+export const MAPPABLE_FIELDS = [
+    { key: 'date', label: 'Date', required: true, aliases: ['date', 'trade date', 'run date', 'transaction date', 'activity date'] },
+    { key: 'action', label: 'Action', required: true, aliases: ['action', 'transaction type', 'activity', 'type', 'transaction'] },
+    { key: 'symbol', label: 'Symbol', required: true, aliases: ['symbol', 'ticker', 'security symbol'] },
+    { key: 'quantity', label: 'Quantity', required: true, aliases: ['quantity', 'qty', 'shares', 'units'] },
+    { key: 'price', label: 'Price', required: false, aliases: ['price', 'unit price', 'trade price', 'share price'] },
+    { key: 'fees', label: 'Fees & Commission', required: false, aliases: ['fees', 'fees & comm', 'commission', 'fee', 'commissions'] },
+    { key: 'amount', label: 'Amount', required: true, aliases: ['amount', 'net amount', 'total', 'net cash', 'value'] },
+    { key: 'description', label: 'Description', required: false, aliases: ['description', 'security description', 'name'] },
+    { key: 'account', label: 'Account', required: false, aliases: ['account', 'account number', 'account name'] }
+];
+
+/**
+ * Transaction types an action value can be mapped to
+ */
+export const MAPPABLE_TRANSACTION_TYPES = [
+    { type: 'BUY', label: 'Buy' },
+    { type: 'SELL', label: 'Sell' },
+    { type: 'SELL_SHORT', label: 'Sell Short' },
+    { type: 'BUY_TO_COVER', label: 'Buy to Cover' },
+    { type: 'DIVIDEND', label: 'Dividend' },
+    { type: 'OPTION_SELL_OPEN', label: 'Option: Sell to Open' },
+    { type: 'OPTION_BUY_OPEN', label: 'Option: Buy to Open' },
+    { type: 'OPTION_SELL_CLOSE', label: 'Option: Sell to Close' },
+    { type: 'OPTION_BUY_CLOSE', label: 'Option: Buy to Close' },
+    { type: 'OPTION_ASSIGNED', label: 'Option: Assigned' },
+    { type: 'OPTION_EXERCISED', label: 'Option: Exercised' },
+    { type: 'OPTION_EXPIRED', label: 'Option: Expired' },
+    { type: 'SPLIT', label: 'Stock Split' },
+    { type: 'SYMBOL_CHANGE', label: 'Ticker Change' },
+    { type: 'OTHER', label: 'Ignore (Other)' }
+];
+
+/**
+ * Suggest a column for each field from the header names
+ * @returns {Object} - field key -> header
+ */
+export function guessColumnMapping(headers) {
+    return resolveColumns(headers, Object.fromEntries(MAPPABLE_FIELDS.map(field => [field.key, field.aliases])));
+}
+
+/**
+ * Suggest a transaction type for an action value, e.g. "Sell to Open" -> OPTION_SELL_OPEN
+ */
+export function guessTransactionType(actionValue) {
+    const action = (actionValue || '').toUpperCase();
+    const opening = action.includes('TO OPEN') || action.includes('OPENING');
+    const closing = action.includes('TO CLOSE') || action.includes('CLOSING');
+    const isBuy = action.includes('BUY') || action.includes('BOUGHT') || action.includes('REINVEST');
+    const isSell = action.includes('SELL') || action.includes('SOLD');
+
+    if (opening && isSell) return 'OPTION_SELL_OPEN';
+    if (opening && isBuy) return 'OPTION_BUY_OPEN';
+    if (closing && isSell) return 'OPTION_SELL_CLOSE';
+    if (closing && isBuy) return 'OPTION_BUY_CLOSE';
+    if (action.includes('SHORT') && isSell) return 'SELL_SHORT';
+    if (action.includes('COVER')) return 'BUY_TO_COVER';
+    if (action.includes('ASSIGN')) return 'OPTION_ASSIGNED';
+    if (action.includes('EXERCIS')) return 'OPTION_EXERCISED';
+    if (action.includes('EXPIR')) return 'OPTION_EXPIRED';
+    if (action.includes('SPLIT')) return 'SPLIT';
+    if (action.includes('SYMBOL CHANGE') || action.includes('NAME CHANGE')) return 'SYMBOL_CHANGE';
+    if (action.includes('DIVIDEND') && !action.includes('REINVEST')) return 'DIVIDEND';
+    if (isBuy) return 'BUY';
+    if (isSell) return 'SELL';
+    return 'OTHER';
+}
+
+/**
+ * Distinct values of the action column, most frequent first
+ */
+export function distinctActionValues(rows, actionColumn) {
+    const counts = new Map();
+    for (const row of rows) {
+        const value = (row[actionColumn] || '').trim().toUpperCase();
+        if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([value, count]) => ({ value, count }));
+}
+
+/**
+ * Check a format before saving
+ * @returns {string|null} - Problem description, or null when valid
+ */
+export function validateCustomFormat(format) {
+    if (!format.name?.trim()) return 'Give the format a name';
+
+    const missing = MAPPABLE_FIELDS.filter(f => f.required && !format.columns[f.key]).map(f => f.label);
+    if (missing.length > 0) return `Map the required fields: ${missing.join(', ')}`;
+
+    return null;
+}
+
+/**
+ * Build a format definition from the wizard's choices
+ */
+export function createCustomFormat(name, headers, columns, actionTypes) {
+    const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return {
+        id: `custom-${slug || Date.now().toString(36)}`,
+        name: name.trim(),
+        headers: headers.map(h => (h || '').trim()).filter(Boolean),
+        columns: { ...columns },
+        actionTypes: { ...actionTypes }
+    };
+}
+
+/**
+ * Register a format as a CSV broker adapter
+ */
+export function registerCustomFormat(format) {
+    registerBrokerAdapter({
+        id: format.id,
+        name: format.name,
+        format: 'csv',
+        detect: (headers) => format.headers.every(h => headers.includes(h)),
+        normalize: (rows) => normalizeCustom(rows, format),
+        features: { options: true, dividends: true, cashBalance: false },
+        custom: true
+    });
+}
+
+/**
+ * Saved formats
+ */
+export function loadCustomFormats() {
+    return loadJSON(STORAGE_KEY, []);
+}
+
+/**
+ * Save (or replace, by id) a format and register it
+ */
+export function saveCustomFormat(format) {
+    const formats = loadCustomFormats().filter(f => f.id !== format.id);
+    saveJSON(STORAGE_KEY, [...formats, format]);
+    registerCustomFormat(format);
+}
+
+/**
+ * Delete a saved format and unregister its adapter
+ */
+export function deleteCustomFormat(id) {
+    saveJSON(STORAGE_KEY, loadCustomFormats().filter(f => f.id !== id));
+    unregisterBrokerAdapter(id);
+}
+
+/**
+ * Normalize rows with a saved column mapping
+ */
+function normalizeCustom(rows, format) {
+    const { columns, actionTypes } = format;
+    const read = (row, field) => (columns[field] ? (row[columns[field]] || '').trim() : '');
+
+    return rows.map(row => {
+        const action = read(row, 'action').toUpperCase();
+        const description = read(row, 'description');
+        const symbol = read(row, 'symbol');
+        const signedQuantity = parseAmount(read(row, 'quantity'));
+        const transactionType = actionTypes[action] || 'OTHER';
+
+        const optionDetails = parseOptionSymbol(symbol);
+        const isOption = optionDetails !== null || transactionType.startsWith('OPTION_');
+
+        let corporateAction = null;
+        if (transactionType === 'SPLIT') {
+            corporateAction = { ratio: parseSplitRatio(`${action} ${description}`), sharesDelta: signedQuantity };
+        } else if (transactionType === 'SYMBOL_CHANGE') {
+            corporateAction = { sharesDelta: signedQuantity };
+        }
+
+        return {
+            date: parseDate(read(row, 'date')),
+            action,
+            transactionType,
+            // Option symbols are keyed the same way as every other importer's
+            symbol: optionDetails ? formatOptionSymbol(optionDetails) : symbol.replace(/^-/, ''),
+            description,
+            quantity: Math.abs(signedQuantity),
+            price: Math.abs(parseAmount(read(row, 'price'))),
+            commission: Math.abs(parseAmount(read(row, 'fees'))),
+            fees: 0,
+            amount: parseAmount(read(row, 'amount')),
+            isOption,
+            optionDetails,
+            account: read(row, 'account') || format.name,
+            accountType: '',
+            corporateAction,
+            rawData: row
+        };
+    });
+}
+
+/**
+ * Parse "$1,234.56", "-12" or accounting-style "(1,234.56)"
+ */
+function parseAmount(value) {
+    const text = String(value || '').replace(/[$,\s]/g, '');
+    const negative = /^\(.*\)$/.test(text);
+    const number = parseFloat(text.replace(/[()]/g, '')) || 0;
+    return negative ? -number : number;
+}
+
+// Saved formats are available as soon as the importer loads
+loadCustomFormats().forEach(registerCustomFormat);
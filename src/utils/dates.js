@@ -0,0 +1,49 @@
+// Milliseconds in a day
+export const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Parse date string to Date object
+ */
+export function parseDate(dateStr) {
+    // Missing dates stay invalid so the import report can flag them
+    if (!dateStr) return new Date(NaN);
+
+    // Schwab reports adjusted dates as "01/17/2025 as of 01/16/2025"; the first date is the posting date
+    dateStr = dateStr.split(' as of ')[0].trim();
+
+    // Try MM/DD/YYYY format (Fidelity)
+    const parts = dateStr.split('/');
+    if (parts.length === 3) {
+        const [month, day, year] = parts;
+        return new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
+    }
+
+    // ISO dates (YYYY-MM-DD) are local calendar days, not UTC midnight
+    const iso = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) {
+        return new Date(parseInt(iso[1]), parseInt(iso[2]) - 1, parseInt(iso[3]));
+    }
+
+    // Fallback to Date constructor
+    return new Date(dateStr);
+}
+
+/**
+ * Calendar day of a date (local time) as YYYY-MM-DD; '' when invalid
+ */
+export function toISODay(date) {
+    const d = new Date(date);
+    if (isNaN(d)) return '';
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    const dd = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+/**
+ * Normalize a Date or a date as written in a CSV (MM/DD/YYYY or YYYY-MM-DD) to YYYY-MM-DD;
+ * '' when unreadable
+ */
+export function toISODate(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    return toISODay(value instanceof Date ? value : parseDate(value));
+}
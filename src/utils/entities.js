@@ -0,0 +1,11 @@
+/**
+ * Decode the predefined XML entities in text read from OFX or Flex reports
+ */
+export function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
@@ -0,0 +1,44 @@
+import { parseCSV } from './csvParser';
+import { parseFlexXML } from './ibkrParser';
+import { parseOFX } from './ofxParser';
+import './customFormats'; // registers saved custom CSV formats
+
+/**
+ * File extensions accepted by the importer
+ */
+export const SUPPORTED_EXTENSIONS = ['.csv', '.xml', '.ofx', '.qfx'];
+
+/**
+ * Parse a brokerage export, choosing the parser from the file extension
+ * @param {File} file - Uploaded file
+ * @returns {Promise<{transactions: Array, source: string, report: Object}>} - report: see diagnoseImport
+ */
+export async function importFile(file) {
+    const name = (file.name || '').toLowerCase();
+
+    if (name.endsWith('.xml')) {
+        return parseFlexXML(file);
+    }
+
+    if (name.endsWith('.ofx') || name.endsWith('.qfx')) {
+        return parseOFX(file);
+    }
+
+    return parseCSV(file);
+}
+
+/**
+ * Whether a file goes through the CSV importer (anything that isn't Flex XML or OFX/QFX)
+ */
+export function isCSVFile(file) {
+    const name = (file?.name || '').toLowerCase();
+    return !['.xml', '.ofx', '.qfx'].some(ext => name.endsWith(ext));
+}
+
+/**
+ * Check whether a file has an extension the importer understands
+ */
+export function isSupportedFile(file) {
+    const name = (file?.name || '').toLowerCase();
+    return SUPPORTED_EXTENSIONS.some(ext => name.endsWith(ext));
+}
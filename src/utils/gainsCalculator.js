@@ -1,51 +1,81 @@
+import { parseOptionSymbol, getUnderlyingSymbol, formatOptionSymbol } from './optionSymbol';
+import { consolidateCorporateActions, CORPORATE_ACTION_TYPES } from './corporateActions';
+import { isMoneyMarketFund, summarizeCashSweep } from './moneyMarket';
+import { isInWashSaleWindow, replacementOptionShares, allocateWashSale } from './washSales';
+import { pickLotIndex, poolAverageCost, resolveLotMethod, saleKey, lotId } from './lotSelection';
+import { STRUCTURE_STRATEGIES, recognizeStructures, summarizeStructures } from './optionStructures';
+import { buildWheelCycles } from './wheelCycles';
+import { linkOptionDeliveries } from './optionDeliveries';
+import { detectRolls, linkRollChains } from './optionChains';
+import { holdingTerm } from './holdingPeriod';
+import { SECTION_1256_TERM, LONG_TERM_SHARE, DEFAULT_SECTION_1256_UNDERLYINGS, isSection1256, yearEndMarks } from './section1256';
+import { DAY_MS } from './dates';
+
 /**
  * Calculate gains and losses using FIFO (First In, First Out) method
  * Enhanced with option type classification (covered calls, cash-secured puts, etc.)
  * @param {Array} transactions - Normalized transactions
+ * @param {string} taxStrategy - Lot method (see LOT_METHODS) or SPECID
+ * @param {Object} lotOptions - {
+ *   selections: { [saleKey]: [{ lotId, quantity }] },   // SPECID lot choices
+ *   fallback: 'FIFO',                                    // SPECID method for sales without choices
+ *   overrides: { types: {...}, symbols: {...} }          // method per security type or symbol
+ * }
+ * @param {Object} options - {
+ *   strictCoverage: false,                 // check short calls against the shares held on their sale date
+ *   section1256Underlyings: [...],         // index option underlyings given 60/40 treatment (see section1256.js)
+ *   marks: { [year]: { [symbol]: price } } // year-end marks for open Section 1256 contracts (see section1256.js)
+ * }
  * @returns {Object} - Gains/losses summary and detailed trades
  */
-export function calculateGainsLosses(transactions, taxStrategy = 'FIFO') {
-    // Separate stock and option transactions
-    const stockTransactions = transactions.filter(t => !t.isOption);
-    const optionTransactions = transactions.filter(t => t.isOption);
+export function calculateGainsLosses(transactions, taxStrategy = 'FIFO', lotOptions = {}, options = {}) {
+    // One transaction per split / ticker change, however the broker spread it over rows
+    transactions = consolidateCorporateActions(transactions);
 
-    // Build set of symbols we have evidence of owning
-    // Evidence includes: dividends received, assigned calls (means we had shares), BUY transactions
-    const ownedSymbols = new Set();
+    // Money-market sweep rows carry no gains; they're summarized instead of tracked as lots
+    const cashSweepTransactions = transactions.filter(t => !t.isOption && isMoneyMarketFund(t.symbol, t.description));
+    const cashSweep = summarizeCashSweep(cashSweepTransactions);
 
-    for (const txn of transactions) {
-        const symbol = txn.symbol?.replace('-', '');
+    // Separate stock and option transactions
+    const stockTransactions = transactions.filter(t => !t.isOption && !cashSweepTransactions.includes(t));
+    const optionTransactions = transactions.filter(t => t.isOption);
 
-        // Dividend = proof of ownership
-        if (txn.transactionType === 'DIVIDEND') {
-            ownedSymbols.add(symbol);
-        }
-        // Assigned call = we had shares that got called away
-        if (txn.action?.includes('ASSIGNED') && txn.action?.includes('CALL')) {
-            // Extract underlying from the option
-            const underlying = getUnderlyingSymbol(symbol);
-            ownedSymbols.add(underlying);
-        }
-        // Sold shares from assigned calls = we owned them
-        if (txn.action?.includes('SOLD') && txn.action?.includes('ASSIGNED')) {
-            ownedSymbols.add(symbol);
-        }
-        // Regular SELL = we owned them (unless short, which parser handles separately)
-        if (txn.transactionType === 'SELL') {
-            ownedSymbols.add(symbol);
+    // Assignments and exercises are linked to the stock trade they produced: the premium belongs to that trade
+    const deliveryLinks = linkOptionDeliveries(optionTransactions, stockTransactions);
+
+    // Calculate stock gains/losses first (we need positions for covered call detection).
+    // Calls bought on a stock can be wash sale replacements for it.
+    let stockResults = calculateStockGains(stockTransactions, taxStrategy, new Map(), optionTransactions, [], lotOptions);
+
+    // Calculate option gains/losses with the share holdings over time (for strict covered call checks).
+    // Corporate actions (with split ratios resolved by the stock pass) also adjust open contracts.
+    const runOptionPass = (stockPass) => calculateOptionGains(
+        [...optionTransactions, ...stockPass.corporateActions],
+        stockPass.holdingsHistory,
+        deliveryLinks,
+        stockPass.washSaleOptionAdjustments,
+        stockPass.optionWashSales,
+        Boolean(options.strictCoverage),
+        {
+            underlyings: options.section1256Underlyings || DEFAULT_SECTION_1256_UNDERLYINGS,
+            marks: yearEndMarks(options.marks)
         }
+    );
+    let optionResults = runOptionPass(stockResults);
+
+    // Match lots again with assignment / exercise premiums folded into the linked stock trades, and
+    // with the options closed at a loss checked for replacement purchases like stock sales.
+    // That changes the disallowed losses moved onto replacement calls, so the options are re-run too.
+    if (optionResults.premiumAdjustments.size > 0 || optionResults.washSaleLosses.length > 0) {
+        stockResults = calculateStockGains(stockTransactions, taxStrategy, optionResults.premiumAdjustments, optionTransactions, optionResults.washSaleLosses, lotOptions);
+        optionResults = runOptionPass(stockResults);
     }
 
-    // Calculate stock gains/losses first (we need positions for covered call detection)
-    const stockResults = calculateStockGains(stockTransactions, taxStrategy);
-
-    // Calculate option gains/losses with stock positions AND ownership evidence
-    const optionResults = calculateOptionGains(optionTransactions, stockResults.openPositions, ownedSymbols);
-
     // Combine results
     const totalRealizedGains = stockResults.totalRealizedGains + optionResults.totalRealizedGains;
     const totalRealizedLosses = stockResults.totalRealizedLosses + optionResults.totalRealizedLosses;
     const netPL = totalRealizedGains + totalRealizedLosses;
+    const lastTransactionDate = transactions.reduce((latest, t) => (t.date > latest ? t.date : latest), new Date(0));
 
     return {
         totalRealizedGains,
@@ -53,30 +83,53 @@ export function calculateGainsLosses(transactions, taxStrategy = 'FIFO') {
         netPL,
         stockResults,
         optionResults,
+        cashSweep,
+        // Cash-secured puts, assigned shares and covered calls chained per underlying;
+        // cycles still open run to the last transaction
+        wheelCycles: buildWheelCycles(stockResults.trades, optionResults.trades, lastTransactionDate),
         allTrades: [...stockResults.trades, ...optionResults.trades]
     };
 }
 
 /**
- * Extract underlying symbol from option symbol
- * e.g., BMNR260109C31.5 -> BMNR
+ * Key for open positions: lots are tracked per account and symbol
  */
-function getUnderlyingSymbol(optionSymbol) {
-    if (!optionSymbol) return '';
-    const cleanSymbol = optionSymbol.replace('-', '');
-    const match = cleanSymbol.match(/^([A-Z]+)/);
-    return match ? match[1] : cleanSymbol;
+function lotKey(account, symbol) {
+    return account ? `${account}|${symbol}` : symbol;
 }
 
 /**
- * Calculate stock gains/losses using FIFO
+ * Accumulate an option premium on the stock transaction it is folded into
+ * @param {Object} change - { proceeds, cost, premium, optionSymbol, acquiredOn }
  */
+function addPremiumAdjustment(premiumAdjustments, stockTxn, { proceeds, cost, premium, optionSymbol, acquiredOn }) {
+    const adjustment = premiumAdjustments.get(stockTxn) || { proceeds: 0, cost: 0, premium: 0, optionSymbols: [], acquiredOn: null };
+    adjustment.proceeds += proceeds;
+    adjustment.cost += cost;
+    adjustment.premium += premium;
+    adjustment.optionSymbols.push(optionSymbol);
+    if (acquiredOn) adjustment.acquiredOn = acquiredOn;
+    premiumAdjustments.set(stockTxn, adjustment);
+}
+
 /**
  * Calculate stock gains/losses using specified tax lot strategy
+ * @param {Map} premiumAdjustments - Stock transaction -> { proceeds, cost, premium, optionSymbols, acquiredOn }
+ *   from assigned or exercised options; proceeds are added to a sale, cost to a purchase's basis
+ * @param {Array} optionTransactions - Option transactions, checked as wash sale replacements
+ * @param {Array} optionLosses - Options closed at a loss in the option pass ({ txn, date, account, symbol,
+ *   shares, openedOn, openedBy, realizedPL }), checked for replacement purchases of the underlying
+ * @param {Object} lotOptions - SpecID choices and fallback, per-type / per-symbol method overrides
  */
-function calculateStockGains(transactions, strategy = 'FIFO') {
+function calculateStockGains(transactions, strategy = 'FIFO', premiumAdjustments = new Map(), optionTransactions = [], optionLosses = [], lotOptions = {}) {
     const positions = {}; // Track cost basis per symbol
+    const shortPositions = {}; // Open short sales per symbol: proceeds waiting for a cover
     const trades = [];
+    const corporateActions = []; // Applied splits / ticker changes, passed on to the option pass
+    // Wash sale losses waiting for a replacement purchase later in the history, losses deferred
+    // into calls bought on the stock, and option losses found replaced (both applied by the option pass)
+    const washSales = { pending: new Map(), used: new Map(), optionAdjustments: new Map(), optionLosses: new Map() };
+    const holdingsHistory = {}; // Position key -> [{ date, shares }] after each transaction
     let totalRealizedGains = 0;
     let totalRealizedLosses = 0;
 
@@ -88,45 +141,95 @@ function calculateStockGains(transactions, strategy = 'FIFO') {
         longTermLosses: 0
     };
 
-    // Sort by date
-    const sorted = [...transactions].sort((a, b) => a.date - b.date);
+    // Sort by date; option losses take their turn for replacement shares after the day's stock trades
+    const sorted = [
+        ...transactions,
+        ...optionLosses.map(loss => ({ transactionType: 'OPTION_LOSS', date: loss.date, symbol: loss.symbol, account: loss.account, loss }))
+    ].sort((a, b) => a.date - b.date);
 
-    for (const txn of sorted) {
-        const { symbol, transactionType, quantity, price, commission, fees, date, amount } = txn;
+    for (const [index, txn] of sorted.entries()) {
+        const { symbol, transactionType, quantity, price, commission, fees, date, amount, account } = txn;
+        if (index > 0) recordHoldings(holdingsHistory, positions, sorted[index - 1]);
+        // Lots never cross accounts (e.g. a joint account and an IRA)
+        const key = lotKey(account, symbol);
+
+        const premiumAdjustment = premiumAdjustments.get(txn) || null;
 
         if (transactionType === 'BUY') {
             // Add to position
-            if (!positions[symbol]) {
-                positions[symbol] = [];
+            if (!positions[key]) {
+                positions[key] = [];
             }
 
-            const costPerShare = price + (commission + fees) / quantity;
-            positions[symbol].push({
+            // Some reinvestment rows omit the price; the amount is the cost then.
+            // Shares received from an assigned put (exercised call) carry its premium in the basis.
+            const costPerShare = (price
+                ? price + (commission + fees) / quantity
+                : Math.abs(amount) / quantity) + (premiumAdjustment?.cost || 0) / quantity;
+            // Holding period starts on the assignment / exercise date, even if the share leg posts later
+            const acquiredOn = premiumAdjustment?.acquiredOn || date;
+            const lot = {
+                id: lotId(txn),
                 quantity,
                 costPerShare,
-                date
-            });
+                date: acquiredOn,
+                tradeDate: date,
+                account,
+                reinvestment: Boolean(txn.reinvestment),
+                openingLot: Boolean(txn.openingLot)
+            };
+
+            // Shares bought as wash sale replacements get their own lots carrying the deferred loss
+            const deferrals = washSales.pending.get(txn) || [];
+            let unadjusted = quantity;
+            for (const deferral of deferrals) {
+                positions[key].push(washReplacementLot(lot, deferral));
+                unadjusted -= deferral.shares;
+            }
+            if (unadjusted > 0) {
+                positions[key].push({ ...lot, quantity: unadjusted });
+            }
 
+            const washSaleDisallowed = deferrals.reduce((sum, d) => sum + d.disallowed, 0);
             trades.push({
                 date,
                 symbol,
+                account,
                 type: 'BUY',
+                reinvestment: Boolean(txn.reinvestment),
+                openingLot: Boolean(txn.openingLot),
+                premiumAdjustment,
+                washSaleDisallowed,
+                washSaleMsg: washSaleDisallowed > 0
+                    ? `Basis includes $${washSaleDisallowed.toFixed(2)} wash sale loss deferred from the sale on ${deferrals.map(d => new Date(d.saleDate).toLocaleDateString()).join(', ')}`
+                    : null,
                 quantity,
-                price,
-                totalCost: quantity * price + commission + fees,
+                price: price || costPerShare,
+                totalCost: quantity * costPerShare,
                 realizedPL: 0
             });
 
+        } else if (CORPORATE_ACTION_TYPES.includes(transactionType)) {
+            // Adjust open lots in place: quantities and per-share cost change, acquisition dates don't
+            const applied = transactionType === 'SPLIT'
+                ? applyStockSplit(positions, txn)
+                : applySymbolChange(positions, txn);
+            corporateActions.push(applied);
+
         } else if (transactionType === 'SELL') {
             // Sell using Tax Strategy
             // Handle Orphaned Sells (Missing Buy History)
             // If we have no position, assume it's a legacy holding (LONG TERM) with 0 known cost basis (100% gain)
             // or perhaps $0 cost basis is safer than ignoring it.
-            let positionList = positions[symbol] || [];
+            // The account's own lots go first, then opening lots entered without an account,
+            // which fill sells in any account
+            const sellPools = [positions[key], key !== symbol ? positions[symbol] : null].filter(list => list?.length > 0);
+            let poolIndex = 0;
+            let positionList = sellPools[poolIndex] || [];
 
             // If totally empty, treat as orphaned lot
             if (positionList.length === 0) {
-                const totalProceeds = quantity * price - commission - fees;
+                const totalProceeds = quantity * price - commission - fees + (premiumAdjustment?.proceeds || 0);
                 const estimatedCost = 0; // Conservative: 100% gain
                 const realizedPL = totalProceeds - estimatedCost;
 
@@ -138,6 +241,7 @@ function calculateStockGains(transactions, strategy = 'FIFO') {
                 trades.push({
                     date,
                     symbol,
+                    account,
                     type: 'SELL',
                     quantity,
                     price,
@@ -145,6 +249,8 @@ function calculateStockGains(transactions, strategy = 'FIFO') {
                     totalCost: estimatedCost,
                     realizedPL,
                     term: 'LONG', // Default assumption for missing history
+                    missingBasis: quantity, // Shares sold without a tracked lot
+                    premiumAdjustment,
                     lots: [{
                         quantity,
                         date: new Date(0), // Epoch start as proxy for "old"
@@ -158,42 +264,48 @@ function calculateStockGains(transactions, strategy = 'FIFO') {
                 continue;
             }
 
+            // A method set for the symbol or its security type wins over the global one.
+            // SpecID: chosen lots go first, anything left to the fallback method.
+            const method = resolveLotMethod(symbol, lotOptions.overrides) ||
+                (strategy === 'SPECID' ? (lotOptions.fallback || 'FIFO') : strategy);
+            const pinned = strategy === 'SPECID' && method !== 'AVERAGE'
+                ? (lotOptions.selections?.[saleKey(txn)] || []).map(choice => ({ ...choice }))
+                : [];
+            // Lots open at the time of the sale, offered by the lot picker
+            const availableLots = strategy === 'SPECID' ? summarizeLots(sellPools.flat()) : undefined;
+            if (method === 'AVERAGE') poolAverageCost(sellPools.flat());
+
             let remainingToSell = quantity;
             let totalCost = 0;
-            let totalProceeds = quantity * price - commission - fees;
+            // Shares called away by an assigned call (or put to the writer by an exercised put):
+            // its premium is part of the proceeds
+            let totalProceeds = quantity * price - commission - fees + (premiumAdjustment?.proceeds || 0);
             const soldLots = [];
+            const soldTradeTimes = new Set(); // Purchases sold from, never their own wash sale replacement
+            const sale = {
+                proceedsPerShare: totalProceeds / quantity,
+                isLongTerm: (lot) => holdingTerm(lot.date, date) === 'LONG'
+            };
 
             while (remainingToSell > 0 && positionList.length > 0) {
-                // Select lot based on strategy
-                let lotIndex;
-                if (strategy === 'LIFO') {
-                    lotIndex = positions[symbol].length - 1; // Last In
-                } else if (strategy === 'HIFO') {
-                    // Highest Cost In
-                    // Find index of lot with highest costPerShare
-                    lotIndex = 0;
-                    let maxCost = -1;
-                    positions[symbol].forEach((lot, idx) => {
-                        if (lot.costPerShare > maxCost) {
-                            maxCost = lot.costPerShare;
-                            lotIndex = idx;
-                        }
-                    });
-                } else {
-                    // FIFO (default)
-                    lotIndex = 0; // First In
-                }
+                // Select lot: a chosen lot that is still open, else by method
+                const pin = pinned.find(choice => choice.quantity > 0 && positionList.some(l => l.id === choice.lotId));
+                const lotIndex = pin
+                    ? positionList.findIndex(l => l.id === pin.lotId)
+                    : pickLotIndex(positionList, method, sale);
+                const toSell = pin ? Math.min(remainingToSell, pin.quantity) : remainingToSell;
 
                 const lot = positionList[lotIndex];
+                if (lot.tradeDate) soldTradeTimes.add(lot.tradeDate.getTime());
 
                 // Calculate holding period
-                const buyDate = new Date(lot.date);
-                const sellDate = new Date(date);
-                const diffTime = Math.abs(sellDate - buyDate);
-                const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-                const term = diffDays > 365 ? 'LONG' : 'SHORT';
+                const diffDays = daysHeld(lot.date, date);
+                const term = holdingTerm(lot.date, date);
+                const lotMethod = pin ? 'SPECID' : method;
 
-                if (lot.quantity <= remainingToSell) {
+                if (pin) pin.quantity -= Math.min(lot.quantity, toSell);
+
+                if (lot.quantity <= toSell) {
                     // Sell entire lot
                     const lotCost = lot.quantity * lot.costPerShare;
                     const lotProceeds = (lot.quantity / quantity) * totalProceeds; // Pro-rated proceeds
@@ -206,13 +318,15 @@ function calculateStockGains(transactions, strategy = 'FIFO') {
                     }
 
                     soldLots.push({
+                        lotId: lot.id,
                         quantity: lot.quantity,
                         date: lot.date,
                         cost: lotCost,
                         proceeds: lotProceeds,
                         realizedPL: lotPL,
                         daysHeld: diffDays,
-                        term
+                        term,
+                        method: lotMethod
                     });
 
                     remainingToSell -= lot.quantity;
@@ -220,7 +334,7 @@ function calculateStockGains(transactions, strategy = 'FIFO') {
                     positionList.splice(lotIndex, 1);
                 } else {
                     // Partial sell
-                    const sellQuantity = remainingToSell;
+                    const sellQuantity = toSell;
                     const lotCost = sellQuantity * lot.costPerShare;
                     const lotProceeds = (sellQuantity / quantity) * totalProceeds;
                     const lotPL = lotProceeds - lotCost;
@@ -228,17 +342,24 @@ function calculateStockGains(transactions, strategy = 'FIFO') {
                     totalCost += lotCost;
 
                     soldLots.push({
+                        lotId: lot.id,
                         quantity: sellQuantity,
                         date: lot.date,
                         cost: lotCost,
                         proceeds: lotProceeds,
                         realizedPL: lotPL,
                         daysHeld: diffDays,
-                        term
+                        term,
+                        method: lotMethod
                     });
 
                     lot.quantity -= sellQuantity;
-                    remainingToSell = 0;
+                    remainingToSell -= sellQuantity;
+                }
+
+                // Account's lots used up: continue with the account-less opening lots
+                if (positionList.length === 0 && poolIndex < sellPools.length - 1) {
+                    positionList = sellPools[++poolIndex];
                 }
             }
 
@@ -266,7 +387,17 @@ function calculateStockGains(transactions, strategy = 'FIFO') {
                 totalCost += orphanCost;
             }
 
-            const realizedPL = totalProceeds - totalCost;
+            // Losses with replacement shares bought within 30 days are deferred into them
+            const washSale = deferWashSaleLosses(soldLots, txn, {
+                positions,
+                soldFrom: sellPools,
+                soldTradeTimes,
+                upcoming: sorted.slice(index + 1),
+                optionTransactions,
+                washSales
+            });
+
+            const realizedPL = totalProceeds - totalCost + washSale.disallowed;
 
             if (realizedPL > 0) {
                 totalRealizedGains += realizedPL;
@@ -292,6 +423,7 @@ function calculateStockGains(transactions, strategy = 'FIFO') {
             trades.push({
                 date,
                 symbol,
+                account,
                 type: 'SELL',
                 quantity,
                 price,
@@ -299,45 +431,134 @@ function calculateStockGains(transactions, strategy = 'FIFO') {
                 totalCost,
                 realizedPL,
                 term: tradeTerm,
+                missingBasis: remainingToSell > 0 ? remainingToSell : 0,
+                premiumAdjustment,
+                saleKey: saleKey(txn),
+                lotsChosen: pinned.length > 0,
+                // Method(s) that picked the lots, e.g. 'HIFO' or 'SPECID + FIFO'
+                lotMethod: [...new Set(soldLots.map(l => l.method).filter(Boolean))].join(' + ') || method,
+                availableLots,
+                isWashSale: washSale.disallowed > 0,
+                washSaleDisallowed: washSale.disallowed,
+                washSaleMsg: washSale.disallowed > 0
+                    ? `Wash sale: $${washSale.disallowed.toFixed(2)} of the loss disallowed and added to the basis of replacement shares bought ${washSale.replacementDates.map(d => new Date(d).toLocaleDateString()).join(', ')}`
+                    : null,
                 lots: soldLots
             });
-        }
-    }
 
-    // Wash Sale Detection (Estimation)
-    // defined as: Sell at loss AND buy same security within +/- 30 days
-    trades.forEach(trade => {
-        if (trade.realizedPL < 0 && trade.type === 'SELL') { // Ensure it's a stock sell
-            const sellDate = new Date(trade.date);
-            const sellTime = sellDate.getTime();
-            const thirtyDaysMs = 30 * 24 * 60 * 60 * 1000;
+        } else if (transactionType === 'OPTION_LOSS') {
+            // Shares of the underlying (or calls on it) bought within 30 days of an option closed at
+            // a loss replace it like they would sold shares
+            const { loss } = txn;
+            const washSale = deferWashSaleLosses([{ quantity: loss.shares, date: loss.openedOn, realizedPL: loss.realizedPL }], txn, {
+                positions,
+                soldFrom: [],
+                soldTradeTimes: new Set(),
+                upcoming: sorted.slice(index + 1),
+                optionTransactions,
+                washSales
+            });
+            if (washSale.disallowed > 0) washSales.optionLosses.set(loss.txn, washSale);
+        } else if (transactionType === 'SELL_SHORT') {
+            // Opening a short position: the proceeds are held until the shares are bought back
+            if (!shortPositions[key]) {
+                shortPositions[key] = [];
+            }
 
-            // Get buy dates of the sold lots to exclude them
-            // (prevents flagging the opening trade itself as the "wash" buy)
-            const soldBuyDates = new Set(
-                (trade.lots || []).map(l => new Date(l.date).getTime())
-            );
+            const proceedsPerShare = price
+                ? price - (commission + fees) / quantity
+                : Math.abs(amount) / quantity;
+            shortPositions[key].push({ quantity, proceedsPerShare, date, account });
 
-            // Look for any OTHER buy of same symbol within window
-            const replacementShare = transactions.find(t => {
-                if (t.symbol !== trade.symbol || t.transactionType !== 'BUY') return false;
+            trades.push({
+                date,
+                symbol,
+                account,
+                type: 'SELL_SHORT',
+                quantity,
+                price,
+                totalProceeds: quantity * proceedsPerShare,
+                realizedPL: 0
+            });
 
-                const buyDate = new Date(t.date);
-                const buyTime = buyDate.getTime();
+        } else if (transactionType === 'BUY_TO_COVER') {
+            // Closing a short position (FIFO): the gain or loss is realized on the cover date.
+            // Short sale gains are short-term unless long-term shares are delivered to close them.
+            const shortList = shortPositions[key] || [];
+            const costPerShare = price
+                ? price + (commission + fees) / quantity
+                : Math.abs(amount) / quantity;
+
+            let remainingToCover = quantity;
+            let totalProceeds = 0;
+            const coveredLots = [];
+
+            while (remainingToCover > 0 && shortList.length > 0) {
+                const lot = shortList[0];
+                const coverQuantity = Math.min(lot.quantity, remainingToCover);
+                const lotProceeds = coverQuantity * lot.proceedsPerShare;
+                const lotCost = coverQuantity * costPerShare;
+
+                coveredLots.push({
+                    quantity: coverQuantity,
+                    date: lot.date,
+                    cost: lotCost,
+                    proceeds: lotProceeds,
+                    realizedPL: lotProceeds - lotCost,
+                    daysHeld: daysHeld(lot.date, date),
+                    term: 'SHORT'
+                });
 
-                // Exclude the lot we just sold
-                if (soldBuyDates.has(buyTime)) return false;
+                totalProceeds += lotProceeds;
+                lot.quantity -= coverQuantity;
+                remainingToCover -= coverQuantity;
+                if (lot.quantity <= 0) shortList.shift();
+            }
 
-                const diffTime = Math.abs(buyTime - sellTime);
-                return diffTime <= thirtyDaysMs;
-            });
+            // Covering a short sale from before the imported history: the proceeds are unknown, so
+            // those shares are flagged rather than booked as a loss of their whole cost
+            if (remainingToCover > 0) {
+                trades.push({
+                    date,
+                    symbol,
+                    account,
+                    type: 'UNMATCHED_COVER',
+                    quantity: remainingToCover,
+                    price,
+                    totalCost: remainingToCover * costPerShare,
+                    realizedPL: 0,
+                    note: 'Missing short sale history'
+                });
+            }
 
-            if (replacementShare) {
-                trade.isWashSale = true;
-                trade.washSaleMsg = `Potential wash sale: Bought on ${new Date(replacementShare.date).toLocaleDateString()}`;
+            const coveredQuantity = quantity - remainingToCover;
+            if (coveredQuantity === 0) continue;
+
+            const totalCost = coveredQuantity * costPerShare;
+            const realizedPL = totalProceeds - totalCost;
+            if (realizedPL > 0) {
+                totalRealizedGains += realizedPL;
+                stockResults.shortTermGains += realizedPL;
+            } else {
+                totalRealizedLosses += realizedPL;
+                stockResults.shortTermLosses += realizedPL;
             }
+
+            trades.push({
+                date,
+                symbol,
+                account,
+                type: 'COVER',
+                quantity: coveredQuantity,
+                price,
+                totalProceeds,
+                totalCost,
+                realizedPL,
+                term: 'SHORT',
+                lots: coveredLots
+            });
         }
-    });
+    }
 
     return {
         totalRealizedGains,
@@ -347,51 +568,427 @@ function calculateStockGains(transactions, strategy = 'FIFO') {
         longTermGains: stockResults.longTermGains,
         longTermLosses: stockResults.longTermLosses,
         trades,
-        openPositions: positions
+        openPositions: positions,
+        openShortPositions: shortPositions,
+        holdingsHistory: sorted.length > 0 ? recordHoldings(holdingsHistory, positions, sorted[sorted.length - 1]) : holdingsHistory,
+        corporateActions,
+        washSaleOptionAdjustments: washSales.optionAdjustments,
+        optionWashSales: washSales.optionLosses
+    };
+}
+
+/**
+ * Days a lot was held at a sale
+ */
+function daysHeld(acquired, sold) {
+    return Math.ceil(Math.abs(new Date(sold) - new Date(acquired)) / DAY_MS);
+}
+
+/**
+ * Add a realized option result to the short- or long-term totals; Section 1256 results are split 60/40
+ */
+function addTermResult(taxResults, term, realizedPL) {
+    if (term === SECTION_1256_TERM) {
+        addTermResult(taxResults, 'LONG', realizedPL * LONG_TERM_SHARE);
+        addTermResult(taxResults, 'SHORT', realizedPL * (1 - LONG_TERM_SHARE));
+    } else if (term === 'LONG') {
+        if (realizedPL > 0) taxResults.longTermGains += realizedPL;
+        else taxResults.longTermLosses += realizedPL;
+    } else {
+        if (realizedPL > 0) taxResults.shortTermGains += realizedPL;
+        else taxResults.shortTermLosses += realizedPL;
+    }
+}
+
+/**
+ * Term of a close that spans several opening purchases
+ */
+function combinedTerm(parts) {
+    const terms = new Set(parts.map(part => part.term));
+    return terms.size > 1 ? 'MIXED' : (terms.values().next().value || 'SHORT');
+}
+
+/**
+ * Snapshot of open lots for the lot picker, one row per purchase
+ */
+function summarizeLots(lots) {
+    const byId = new Map();
+    for (const lot of lots) {
+        const row = byId.get(lot.id) || { lotId: lot.id, date: lot.date, quantity: 0, cost: 0 };
+        row.quantity += lot.quantity;
+        row.cost += lot.quantity * lot.costPerShare;
+        byId.set(lot.id, row);
+    }
+    return [...byId.values()].map(({ cost, ...row }) => ({ ...row, costPerShare: cost / row.quantity }));
+}
+
+/**
+ * Apply the wash sale rule to a sale's losing lots (see washSales.js). Held replacement lots are
+ * split so the replacement shares carry the deferred loss and tacked holding period; later
+ * purchases pick theirs up when processed, and calls bought on the stock in the option pass.
+ * @returns {Object} - { disallowed, replacementDates }
+ */
+function deferWashSaleLosses(soldLots, sale, { positions, soldFrom, soldTradeTimes, upcoming, optionTransactions, washSales }) {
+    if (!soldLots.some(lot => lot.realizedPL < 0)) return { disallowed: 0, replacementDates: [] };
+
+    const replacements = [];
+    // Shares still held in any account, except the rest of the purchases this sale came from
+    for (const key of positionKeysFor(positions, null, sale.symbol)) {
+        for (const lot of positions[key]) {
+            if (lot.washReplacement || !lot.tradeDate) continue;
+            if (soldFrom.includes(positions[key]) && soldTradeTimes.has(lot.tradeDate.getTime())) continue;
+            if (isInWashSaleWindow(sale.date, lot.tradeDate)) {
+                replacements.push({ date: lot.tradeDate, shares: lot.quantity, lot, list: positions[key] });
+            }
+        }
+    }
+    // Purchases later in the history
+    for (const txn of upcoming) {
+        if (!isInWashSaleWindow(sale.date, txn.date)) break;
+        if (txn.transactionType !== 'BUY' || txn.symbol !== sale.symbol) continue;
+
+        const shares = txn.quantity - (washSales.used.get(txn) || 0);
+        if (shares > 0) replacements.push({ date: txn.date, shares, txn });
+    }
+    // Calls bought on the stock, other than the ones an option loss came from
+    for (const txn of optionTransactions) {
+        if (sale.loss?.openedBy.includes(txn)) continue;
+        const shares = replacementOptionShares(txn, sale.symbol) - (washSales.used.get(txn) || 0);
+        if (shares > 0 && isInWashSaleWindow(sale.date, txn.date)) {
+            replacements.push({ date: txn.date, shares, optionTxn: txn });
+        }
+    }
+
+    let disallowedTotal = 0;
+    const replacementDates = new Set();
+
+    for (const { soldLot, replacement, shares, disallowed, heldMs } of allocateWashSale(soldLots, replacements, sale.date)) {
+        soldLot.realizedPL += disallowed;
+        soldLot.washSaleDisallowed = (soldLot.washSaleDisallowed || 0) + disallowed;
+        disallowedTotal += disallowed;
+        replacementDates.add(replacement.date.getTime());
+
+        const deferral = { shares, disallowed, heldMs, saleDate: sale.date };
+        if (replacement.lot) {
+            // Split the replacement shares off the held lot
+            const { lot, list } = replacement;
+            const index = list.indexOf(lot);
+            if (shares < lot.quantity) {
+                lot.quantity -= shares;
+                list.splice(index, 0, washReplacementLot(lot, deferral));
+            } else {
+                list.splice(index, 1, washReplacementLot(lot, deferral));
+            }
+        } else if (replacement.txn) {
+            washSales.pending.set(replacement.txn, [...(washSales.pending.get(replacement.txn) || []), deferral]);
+            washSales.used.set(replacement.txn, (washSales.used.get(replacement.txn) || 0) + shares);
+        } else {
+            const optionTxn = replacement.optionTxn;
+            washSales.optionAdjustments.set(optionTxn, (washSales.optionAdjustments.get(optionTxn) || 0) + disallowed);
+            washSales.used.set(optionTxn, (washSales.used.get(optionTxn) || 0) + shares);
+        }
+    }
+
+    return { disallowed: disallowedTotal, replacementDates: [...replacementDates] };
+}
+
+/**
+ * Wash sale fields of an option trade closed at a loss
+ */
+function washSaleFields({ disallowed, replacementDates }) {
+    return {
+        isWashSale: disallowed > 0,
+        washSaleDisallowed: disallowed,
+        washSaleMsg: disallowed > 0
+            ? `Wash sale: $${disallowed.toFixed(2)} of the loss disallowed and added to the basis of replacements bought ${replacementDates.map(d => new Date(d).toLocaleDateString()).join(', ')}`
+            : null
     };
 }
 
 /**
- * Get total shares owned for a symbol at a given time
+ * Replacement shares of a lot: the deferred loss is added to their basis and the sold shares'
+ * holding period to theirs
+ */
+function washReplacementLot(lot, { shares, disallowed, heldMs }) {
+    return {
+        ...lot,
+        quantity: shares,
+        costPerShare: lot.costPerShare + disallowed / shares,
+        date: new Date(new Date(lot.date).getTime() - heldMs),
+        washReplacement: true,
+        washSaleDisallowed: disallowed
+    };
+}
+
+/**
+ * Position keys holding a symbol: one account's key, or every account's when the
+ * action has no account (manually entered actions)
+ */
+function positionKeysFor(positions, account, symbol) {
+    if (account) {
+        const key = lotKey(account, symbol);
+        return positions[key] ? [key] : [];
+    }
+    return Object.keys(positions).filter(key => key === symbol || key.endsWith(`|${symbol}`));
+}
+
+/**
+ * Apply a split or reverse split to open stock lots
+ * @returns {Object} - The transaction with its split ratio resolved (null if unknown)
+ */
+function applyStockSplit(positions, txn) {
+    const keys = positionKeysFor(positions, txn.account, txn.symbol);
+    const sharesHeld = keys.reduce((sum, key) => sum + getSharesOwned(positions, key), 0);
+
+    // Prefer the stated ratio; otherwise derive it from the shares added or removed
+    let ratio = txn.corporateAction?.ratio;
+    if (!ratio && sharesHeld > 0) {
+        ratio = (sharesHeld + (txn.corporateAction?.sharesDelta || 0)) / sharesHeld;
+    }
+
+    if (ratio > 0) {
+        for (const key of keys) {
+            for (const lot of positions[key]) {
+                lot.quantity *= ratio;
+                lot.costPerShare /= ratio;
+            }
+        }
+    }
+
+    return { ...txn, corporateAction: { ...txn.corporateAction, ratio: ratio > 0 ? ratio : null } };
+}
+
+/**
+ * Move open stock lots from the old ticker to the new one, keeping dates and basis
  */
-function getSharesOwned(positions, underlyingSymbol) {
-    if (!positions[underlyingSymbol]) return 0;
-    return positions[underlyingSymbol].reduce((sum, lot) => sum + lot.quantity, 0);
+function applySymbolChange(positions, txn) {
+    const { fromSymbol, toSymbol } = txn.corporateAction;
+
+    for (const key of positionKeysFor(positions, txn.account, fromSymbol)) {
+        const newKey = key.slice(0, key.length - fromSymbol.length) + toSymbol;
+        positions[newKey] = [...(positions[newKey] || []), ...positions[key]];
+        delete positions[key];
+    }
+
+    return txn;
+}
+
+/**
+ * Get total shares owned for a position key at a given time
+ */
+function getSharesOwned(positions, key) {
+    if (!positions[key]) return 0;
+    return positions[key].reduce((sum, lot) => sum + lot.quantity, 0);
+}
+
+/**
+ * Append the shares held after a transaction to the holdings history of the positions it touched
+ * (both tickers of a symbol change)
+ */
+function recordHoldings(history, positions, txn) {
+    const symbols = [txn.corporateAction?.fromSymbol || txn.symbol, txn.corporateAction?.toSymbol].filter(Boolean);
+    const keys = new Set(symbols.flatMap(symbol => [lotKey(txn.account, symbol), ...positionKeysFor(positions, txn.account, symbol)]));
+
+    for (const key of keys) {
+        if (!history[key]) history[key] = [];
+        history[key].push({ date: txn.date, shares: getSharesOwned(positions, key) });
+    }
+    return history;
+}
+
+/**
+ * Shares held in a position at the end of a day, from the holdings history
+ */
+function sharesHeldOn(history, key, date) {
+    const entries = history[key] || [];
+    let shares = 0;
+    for (const entry of entries) {
+        if (new Date(entry.date) > new Date(date)) break;
+        shares = entry.shares;
+    }
+    return shares;
+}
+
+/**
+ * Shares of a holding (lotKey) already backing open covered calls
+ */
+function sharesCommittedToCalls(optionPositions, coverageKey) {
+    return Object.values(optionPositions).flat()
+        .filter(position => position.type === 'SHORT' && position.optionType === 'CALL' &&
+            (position.coveredByAnyAccount ? position.underlyingSymbol : lotKey(position.account, position.underlyingSymbol)) === coverageKey)
+        .reduce((sum, position) => sum + position.quantity * (position.coveredSharesPerContract || 0), 0);
 }
 
 /**
  * Determine if option is a CALL or PUT from symbol
  */
 function getOptionType(optionSymbol) {
-    if (optionSymbol.includes('C')) {
-        // Check if it's a call by looking at the pattern
-        const match = optionSymbol.match(/\d{6}([CP])/);
-        if (match) {
-            return match[1] === 'C' ? 'CALL' : 'PUT';
+    const details = parseOptionSymbol(optionSymbol);
+    if (details) return details.type;
+
+    // Unparseable symbol: fall back to the description-style keyword
+    return optionSymbol.toUpperCase().includes('PUT') ? 'PUT' : 'CALL';
+}
+
+/**
+ * Find the open option positions a transaction refers to. Falls back to matching the
+ * contract terms when the symbol differs, e.g. after a corporate action re-keyed the
+ * position or when the broker reports an adjusted root.
+ */
+function resolveOptionKey(optionPositions, key, account, details) {
+    if (optionPositions[key]?.length > 0 || !details) return key;
+
+    const match = Object.keys(optionPositions).find(candidate => {
+        const position = optionPositions[candidate][0];
+        const terms = position?.details;
+        return terms && (position.account || '') === (account || '') &&
+            terms.ticker === details.ticker &&
+            terms.type === details.type &&
+            terms.strike === details.strike &&
+            terms.expiry?.getTime() === details.expiry?.getTime();
+    });
+
+    return match || key;
+}
+
+/**
+ * Adjust open option contracts for a split or ticker change on their underlying.
+ * Whole-number splits multiply contracts and divide the strike (standard OCC adjustment);
+ * other ratios keep contracts and strike and change the deliverable instead.
+ */
+function adjustOptionPositions(optionPositions, txn) {
+    const { transactionType, account, corporateAction } = txn;
+    const underlying = transactionType === 'SPLIT' ? txn.symbol : corporateAction.fromSymbol;
+
+    for (const key of Object.keys(optionPositions)) {
+        const positions = optionPositions[key];
+        const first = positions[0];
+        if (!first?.details || first.details.ticker !== underlying) continue;
+        if (account && first.account !== account) continue;
+
+        let details = first.details;
+        if (transactionType === 'SPLIT') {
+            const ratio = corporateAction.ratio;
+            if (!ratio) continue;
+
+            if (Number.isInteger(ratio)) {
+                positions.forEach(position => {
+                    position.quantity *= ratio;
+                    position.premiumPerContract /= ratio;
+                });
+                details = { ...details, strike: Math.round((details.strike / ratio) * 1000) / 1000 };
+            } else {
+                details = { ...details, multiplier: (details.multiplier || 100) * ratio, isAdjusted: true };
+            }
+        } else {
+            // Keep any adjusted-root digit: AAPL1 -> NEWT1
+            const rootSuffix = (details.root || details.ticker).slice(details.ticker.length);
+            details = { ...details, ticker: corporateAction.toSymbol, root: corporateAction.toSymbol + rootSuffix };
+        }
+
+        positions.forEach(position => {
+            position.details = details;
+            position.underlyingSymbol = details.ticker;
+        });
+
+        const newKey = lotKey(first.account, formatOptionSymbol(details));
+        if (newKey !== key) {
+            optionPositions[newKey] = [...(optionPositions[newKey] || []), ...positions];
+            delete optionPositions[key];
         }
     }
-    if (optionSymbol.includes('P')) {
-        const match = optionSymbol.match(/\d{6}([CP])/);
-        if (match) {
-            return match[1] === 'C' ? 'CALL' : 'PUT';
+}
+
+/**
+ * Mark open Section 1256 contracts to a year-end price: each is treated as sold at the mark, the
+ * result realized in that year, and carries on at the marked value
+ * @param {Object} mark - { symbol, price, date } from yearEndMarks
+ * @returns {Array} - MARK_TO_MARKET trades
+ */
+function markToMarket(optionPositions, mark, underlyings) {
+    const trades = [];
+
+    for (const positions of Object.values(optionPositions)) {
+        for (const position of positions) {
+            const { details } = position;
+            if (!details || position.date > mark.date || details.expiry < mark.date) continue;
+            if (formatOptionSymbol(details) !== mark.symbol || !isSection1256(details, underlyings)) continue;
+
+            const basis = position.quantity * position.premiumPerContract;
+            const value = mark.price * position.quantity * (details.multiplier || 100);
+            const isShort = position.type === 'SHORT';
+
+            trades.push({
+                date: mark.date,
+                symbol: mark.symbol,
+                account: position.account,
+                underlyingSymbol: position.underlyingSymbol,
+                type: 'MARK_TO_MARKET',
+                side: position.type,
+                optionType: position.optionType,
+                strategy: position.strategy,
+                structureId: position.structureId,
+                chainId: position.chainId,
+                quantity: position.quantity,
+                price: mark.price,
+                // A short contract is deemed bought back at the mark, a long one sold
+                totalProceeds: isShort ? basis : value,
+                totalCost: isShort ? value : basis,
+                realizedPL: isShort ? basis - value : value - basis,
+                term: SECTION_1256_TERM
+            });
+
+            position.premiumPerContract = value / position.quantity;
+            position.markedAt = mark.date;
         }
     }
-    // Default based on simple check
-    return optionSymbol.includes('C') ? 'CALL' : 'PUT';
+
+    return trades;
 }
 
 /**
  * Calculate option gains/losses with strategy classification
+ * @param {Object} holdingsHistory - Position key -> shares held over time, from the stock pass
+ * @param {Map} washSaleAdjustments - Call purchase -> stock loss deferred into it as a wash sale replacement
+ * @param {Map} optionWashSales - Closing option transaction -> { disallowed, replacementDates } for
+ *   losses the stock pass found replaced
+ * @param {boolean} strictCoverage - Classify short calls by the shares held on their sale date
+ * @param {Object} section1256 - { underlyings, marks }: Section 1256 underlyings and year-end marks
  */
-function calculateOptionGains(transactions, stockPositions = {}, ownedSymbols = new Set()) {
+function calculateOptionGains(transactions, holdingsHistory = {}, deliveryLinks = new Map(), washSaleAdjustments = new Map(), optionWashSales = new Map(), strictCoverage = false, section1256 = {}) {
     const optionPositions = {}; // Track option positions
     const trades = [];
+    const premiumAdjustments = new Map(); // Linked stock transaction -> premium folded into it
+    const washSaleLosses = []; // Options closed at a loss, checked for replacements by the stock pass
     let totalRealizedGains = 0;
     let totalRealizedLosses = 0;
 
+    // Wash sale rule for an option closed at a loss: records the loss for the stock pass and
+    // returns the part of it disallowed because the underlying was bought within 30 days.
+    // Section 1256 contracts are marked to market and outside the rule.
+    const optionWashSale = (txn, realizedPL, closed, shares) => {
+        if (!(realizedPL < 0) || closed[0].section1256) return { disallowed: 0, replacementDates: [] };
+
+        washSaleLosses.push({
+            txn,
+            date: txn.date,
+            account: txn.account,
+            symbol: closed[0].underlyingSymbol,
+            shares,
+            openedOn: closed[0].date,
+            openedBy: closed.map(position => position.openedBy).filter(Boolean),
+            realizedPL
+        });
+
+        const found = optionWashSales.get(txn);
+        return found
+            ? { disallowed: Math.min(found.disallowed, -realizedPL), replacementDates: found.replacementDates }
+            : { disallowed: 0, replacementDates: [] };
+    };
+
     // Track short/long term totals for options
-    // Note: Options are typically treated as SHORT-TERM capital gains/losses
-    // regardless of holding period (US tax treatment)
+    // Note: Written options are SHORT-TERM regardless of holding period, long options follow it
+    // and Section 1256 contracts are 60/40 (US tax treatment)
     const optionTaxResults = {
         shortTermGains: 0,
         shortTermLosses: 0,
@@ -435,108 +1032,214 @@ function calculateOptionGains(transactions, stockPositions = {}, ownedSymbols =
             losses: 0,
             tradesCount: 0,
             trades: []
-        }
+        },
+        // Multi-leg structures (vertical spreads, iron condors, ...), reported per structure
+        ...Object.fromEntries(STRUCTURE_STRATEGIES.map(key => [key, {
+            premiumCollected: 0,
+            premiumPaid: 0,
+            premiumRetained: 0,
+            premiumLost: 0,
+            gains: 0,
+            losses: 0,
+            tradesCount: 0,
+            trades: [],
+            structures: []
+        }]))
     };
 
     // Sort by date
     const sorted = [...transactions].sort((a, b) => a.date - b.date);
 
+    // Legs opened together that form a spread, strangle, condor, calendar or collar
+    const structureOf = recognizeStructures(sorted);
+
+    // Same-day close + reopen pairs; every opening starts a chain and rolls merge them after the pass
+    const rolls = detectRolls(sorted, structureOf);
+    const tradeOf = new Map(); // Option transaction -> the trade it produced
+    let nextChainId = 0;
+
+    // Open Section 1256 contracts are marked to market once the history passes a year-end mark
+    const { underlyings = DEFAULT_SECTION_1256_UNDERLYINGS, marks = [] } = section1256;
+    const pendingMarks = [...marks];
+    const applyMark = (mark) => {
+        for (const trade of markToMarket(optionPositions, mark, underlyings)) {
+            const results = strategyResults[trade.strategy];
+            if (trade.realizedPL > 0) {
+                totalRealizedGains += trade.realizedPL;
+                if (trade.side === 'SHORT') results.premiumRetained += trade.realizedPL;
+                else results.gains += trade.realizedPL;
+            } else {
+                totalRealizedLosses += trade.realizedPL;
+                if (trade.side === 'SHORT') results.premiumLost += Math.abs(trade.realizedPL);
+                else results.losses += Math.abs(trade.realizedPL);
+            }
+            addTermResult(optionTaxResults, SECTION_1256_TERM, trade.realizedPL);
+
+            trades.push(trade);
+            results.trades.push(trade);
+        }
+    };
+
     for (const txn of sorted) {
-        const { symbol, transactionType, quantity, price, commission, fees, date, amount } = txn;
-        const underlyingSymbol = getUnderlyingSymbol(symbol);
-        const optionType = getOptionType(symbol);
-        const sharesOwned = getSharesOwned(stockPositions, underlyingSymbol);
-        const contractsNeededForCovered = Math.floor(sharesOwned / 100);
+        const { symbol, transactionType, quantity, price, commission, fees, date, amount, account } = txn;
+        const tradeCount = trades.length;
+
+        while (pendingMarks.length > 0 && pendingMarks[0].date < date) {
+            applyMark(pendingMarks.shift());
+        }
+
+        if (CORPORATE_ACTION_TYPES.includes(transactionType)) {
+            adjustOptionPositions(optionPositions, txn);
+            continue;
+        }
 
-        // Check if we have evidence of ownership (dividends, assignments, etc.)
-        const hasOwnershipEvidence = ownedSymbols.has(underlyingSymbol);
+        const details = txn.optionDetails || parseOptionSymbol(symbol);
+        // Lots never cross accounts (e.g. a joint account and an IRA)
+        const key = resolveOptionKey(optionPositions, lotKey(account, symbol), account, details);
+        // Prefer parser-provided details; symbol formats differ between brokers
+        const underlyingSymbol = txn.optionDetails?.ticker || getUnderlyingSymbol(symbol);
+        const optionType = txn.optionDetails?.type || getOptionType(symbol);
+        // Section 1256 contracts are 60/40 whatever the holding period
+        const is1256 = isSection1256(details, underlyings);
+        const termOf = (term) => (is1256 ? SECTION_1256_TERM : term);
 
         if (transactionType === 'OPTION_SELL_OPEN') {
             // Selling to open (collecting premium)
             const premiumCollected = Math.abs(amount);
 
-            // Determine strategy type
+            // Determine strategy type: a leg of a multi-leg structure belongs to the structure
+            const structure = structureOf.get(txn);
+            const chainId = ++nextChainId;
             let strategy;
-            if (optionType === 'CALL') {
-                // Check if covered: either have shares tracked OR have ownership evidence (dividends) OR is Cash account
-                // User Insight: Due to missing history for long-held stocks, assume ALL short calls are Covered
-                // unless we have specific reason to think otherwise. Defaulting to Covered prevents scary "Naked" warnings.
+            let coverage = null;
+            let coveredByAnyAccount = false;
+            if (structure) {
+                strategy = structure.strategy;
+            } else if (optionType === 'CALL' && strictCoverage) {
+                // Strict mode: covered only by the account's lots on the sale date (opening positions
+                // included) that are not already backing another open call. Partly covered calls
+                // carry naked risk and are reported with the naked calls.
+                // Opening lots entered without an account cover calls in any account, as they fill sells
+                const sharesNeeded = quantity * (details?.multiplier || 100);
+                const accountKey = lotKey(account, underlyingSymbol);
+                const coverageKey = sharesHeldOn(holdingsHistory, accountKey, date) > 0 ? accountKey : underlyingSymbol;
+                const sharesHeld = sharesHeldOn(holdingsHistory, coverageKey, date);
+                const sharesFree = Math.max(sharesHeld - sharesCommittedToCalls(optionPositions, coverageKey), 0);
+                const sharesCovered = Math.min(sharesFree, sharesNeeded);
+
+                coverage = { sharesNeeded, sharesHeld, sharesCovered, shortfall: sharesNeeded - sharesCovered };
+                coveredByAnyAccount = coverageKey !== accountKey;
+                strategy = coverage.shortfall > 0 ? 'nakedCalls' : 'coveredCalls';
+            } else if (optionType === 'CALL') {
+                // Missing history for long-held stocks would flag real covered calls as naked,
+                // so outside strict mode every short call is assumed covered
                 strategy = 'coveredCalls';
-
-                // (Preserving logic for future "Strict Mode" if needed)
-                // const isCashAccount = txn.accountType === 'Cash';
-                // if (contractsNeededForCovered >= quantity || hasOwnershipEvidence || isCashAccount) {
-                //     strategy = 'coveredCalls';
-                // } else {
-                //     strategy = 'coveredCalls'; // Default to covered
-                // }
             } else {
                 strategy = 'cashSecuredPuts';
             }
 
-            if (!optionPositions[symbol]) {
-                optionPositions[symbol] = [];
+            if (!optionPositions[key]) {
+                optionPositions[key] = [];
             }
 
-            optionPositions[symbol].push({
+            optionPositions[key].push({
                 quantity,
                 premiumPerContract: premiumCollected / quantity,
                 date,
                 type: 'SHORT',
                 strategy,
-                optionType
+                optionType,
+                account,
+                underlyingSymbol,
+                details,
+                structureId: structure?.id,
+                chainId,
+                section1256: is1256,
+                coveredSharesPerContract: coverage ? coverage.sharesCovered / quantity : 0,
+                coveredByAnyAccount
             });
 
             // Track in strategy results
             strategyResults[strategy].premiumCollected += premiumCollected;
             strategyResults[strategy].tradesCount++;
+            if (structure && !strategyResults[strategy].structures.includes(structure)) {
+                strategyResults[strategy].structures.push(structure);
+            }
 
             const trade = {
                 date,
                 symbol,
+                account,
                 underlyingSymbol,
                 type: 'SELL_OPEN',
                 optionType,
                 strategy,
+                structureId: structure?.id,
+                chainId,
                 quantity,
                 premium: premiumCollected,
-                realizedPL: 0
+                realizedPL: 0,
+                coverage,
+                coverageMsg: coverage?.shortfall > 0
+                    ? `${coverage.sharesCovered > 0 ? 'Partly covered' : 'Uncovered'}: ${coverage.sharesCovered} of ${coverage.sharesNeeded} shares available on the sale date (${coverage.shortfall} short)`
+                    : null
             };
 
             trades.push(trade);
             strategyResults[strategy].trades.push(trade);
 
         } else if (transactionType === 'OPTION_BUY_OPEN') {
-            // Buying to open (paying premium)
+            // Buying to open (paying premium). Calls bought as wash sale replacements
+            // carry the deferred stock loss in their basis.
+            const washSaleDisallowed = washSaleAdjustments.get(txn) || 0;
             const premiumPaid = Math.abs(amount);
 
-            const strategy = optionType === 'CALL' ? 'longCalls' : 'longPuts';
+            const structure = structureOf.get(txn);
+            const chainId = ++nextChainId;
+            const strategy = structure ? structure.strategy : (optionType === 'CALL' ? 'longCalls' : 'longPuts');
 
-            if (!optionPositions[symbol]) {
-                optionPositions[symbol] = [];
+            if (!optionPositions[key]) {
+                optionPositions[key] = [];
             }
 
-            optionPositions[symbol].push({
+            optionPositions[key].push({
                 quantity,
-                premiumPerContract: premiumPaid / quantity,
+                premiumPerContract: (premiumPaid + washSaleDisallowed) / quantity,
                 date,
                 type: 'LONG',
                 strategy,
-                optionType
+                optionType,
+                account,
+                underlyingSymbol,
+                details,
+                openedBy: txn,
+                structureId: structure?.id,
+                chainId,
+                section1256: is1256
             });
 
             strategyResults[strategy].premiumPaid += premiumPaid;
             strategyResults[strategy].tradesCount++;
+            if (structure && !strategyResults[strategy].structures.includes(structure)) {
+                strategyResults[strategy].structures.push(structure);
+            }
 
             const trade = {
                 date,
                 symbol,
+                account,
                 underlyingSymbol,
                 type: 'BUY_OPEN',
                 optionType,
                 strategy,
+                structureId: structure?.id,
+                chainId,
                 quantity,
                 premium: premiumPaid,
+                washSaleDisallowed,
+                washSaleMsg: washSaleDisallowed > 0
+                    ? `Basis includes $${washSaleDisallowed.toFixed(2)} wash sale loss deferred from a sale of ${underlyingSymbol}`
+                    : null,
                 realizedPL: 0
             };
 
@@ -547,19 +1250,22 @@ function calculateOptionGains(transactions, stockPositions = {}, ownedSymbols =
             // Buying to close (closing short position)
             const premiumPaid = Math.abs(amount);
 
-            if (optionPositions[symbol] && optionPositions[symbol].length > 0) {
+            if (optionPositions[key] && optionPositions[key].length > 0) {
                 let remainingToClose = quantity;
                 let totalPremiumCollected = 0;
-                let strategy = optionPositions[symbol][0]?.strategy || 'nakedCalls';
+                let strategy = optionPositions[key][0]?.strategy || 'nakedCalls';
+                const { structureId, chainId } = optionPositions[key][0];
+                const closed = [];
 
-                while (remainingToClose > 0 && optionPositions[symbol].length > 0) {
-                    const position = optionPositions[symbol][0];
+                while (remainingToClose > 0 && optionPositions[key].length > 0) {
+                    const position = optionPositions[key][0];
                     strategy = position.strategy;
+                    closed.push(position);
 
                     if (position.quantity <= remainingToClose) {
                         totalPremiumCollected += position.quantity * position.premiumPerContract;
                         remainingToClose -= position.quantity;
-                        optionPositions[symbol].shift();
+                        optionPositions[key].shift();
                     } else {
                         totalPremiumCollected += remainingToClose * position.premiumPerContract;
                         position.quantity -= remainingToClose;
@@ -567,32 +1273,37 @@ function calculateOptionGains(transactions, stockPositions = {}, ownedSymbols =
                     }
                 }
 
-                const realizedPL = totalPremiumCollected - premiumPaid;
+                const shares = (quantity - remainingToClose) * (details?.multiplier || 100);
+                const washSale = optionWashSale(txn, totalPremiumCollected - premiumPaid, closed, shares);
+                const realizedPL = totalPremiumCollected - premiumPaid + washSale.disallowed;
 
                 if (realizedPL > 0) {
                     totalRealizedGains += realizedPL;
                     strategyResults[strategy].premiumRetained += realizedPL;
-                    // Options are treated as short-term capital gains
-                    optionTaxResults.shortTermGains += realizedPL;
                 } else {
                     totalRealizedLosses += realizedPL;
                     strategyResults[strategy].premiumLost += Math.abs(realizedPL);
-                    // Options are treated as short-term capital losses
-                    optionTaxResults.shortTermLosses += realizedPL;
                 }
+                // Written options are short-term
+                addTermResult(optionTaxResults, termOf('SHORT'), realizedPL);
 
                 const trade = {
                     date,
                     symbol,
-                    underlyingSymbol: getUnderlyingSymbol(symbol),
+                    account,
+                    underlyingSymbol,
                     type: 'BUY_CLOSE',
-                    optionType: getOptionType(symbol),
+                    optionType,
                     strategy,
+                    structureId,
+                    chainId,
                     quantity,
                     premium: premiumPaid,
                     totalProceeds: totalPremiumCollected, // Premium collected when opened
                     totalCost: premiumPaid, // Premium paid to close
-                    realizedPL
+                    realizedPL,
+                    term: is1256 ? SECTION_1256_TERM : null,
+                    ...washSaleFields(washSale)
                 };
 
                 trades.push(trade);
@@ -603,52 +1314,72 @@ function calculateOptionGains(transactions, stockPositions = {}, ownedSymbols =
             // Selling to close (closing long position)
             const premiumReceived = Math.abs(amount);
 
-            if (optionPositions[symbol] && optionPositions[symbol].length > 0) {
+            if (optionPositions[key] && optionPositions[key].length > 0) {
                 let remainingToClose = quantity;
                 let totalPremiumPaid = 0;
-                let strategy = optionPositions[symbol][0]?.strategy || 'longCalls';
+                let strategy = optionPositions[key][0]?.strategy || 'longCalls';
+                const { structureId, chainId } = optionPositions[key][0];
+                const closed = []; // { quantity, cost, term } per opening purchase
+                const closedPositions = [];
 
-                while (remainingToClose > 0 && optionPositions[symbol].length > 0) {
-                    const position = optionPositions[symbol][0];
+                while (remainingToClose > 0 && optionPositions[key].length > 0) {
+                    const position = optionPositions[key][0];
                     strategy = position.strategy;
+                    closedPositions.push(position);
+                    const term = holdingTerm(position.date, date);
 
                     if (position.quantity <= remainingToClose) {
-                        totalPremiumPaid += position.quantity * position.premiumPerContract;
+                        const cost = position.quantity * position.premiumPerContract;
+                        closed.push({ quantity: position.quantity, cost, term });
+                        totalPremiumPaid += cost;
                         remainingToClose -= position.quantity;
-                        optionPositions[symbol].shift();
+                        optionPositions[key].shift();
                     } else {
-                        totalPremiumPaid += remainingToClose * position.premiumPerContract;
+                        const cost = remainingToClose * position.premiumPerContract;
+                        closed.push({ quantity: remainingToClose, cost, term });
+                        totalPremiumPaid += cost;
                         position.quantity -= remainingToClose;
                         remainingToClose = 0;
                     }
                 }
 
-                const realizedPL = premiumReceived - totalPremiumPaid;
+                const shares = (quantity - remainingToClose) * (details?.multiplier || 100);
+                const washSale = optionWashSale(txn, premiumReceived - totalPremiumPaid, closedPositions, shares);
+                const realizedPL = premiumReceived - totalPremiumPaid + washSale.disallowed;
 
                 if (realizedPL > 0) {
                     totalRealizedGains += realizedPL;
                     strategyResults[strategy].gains += realizedPL;
-                    // Options are treated as short-term capital gains
-                    optionTaxResults.shortTermGains += realizedPL;
                 } else {
                     totalRealizedLosses += realizedPL;
                     strategyResults[strategy].losses += Math.abs(realizedPL);
-                    // Options are treated as short-term capital losses
-                    optionTaxResults.shortTermLosses += realizedPL;
                 }
 
+                // Long options take the holding period of each purchase closed; proceeds and any
+                // disallowed wash sale loss are pro-rated
+                const closedQuantity = closed.reduce((sum, part) => sum + part.quantity, 0);
+                closed.forEach(part => {
+                    const portion = part.quantity / closedQuantity;
+                    addTermResult(optionTaxResults, termOf(part.term), (premiumReceived + washSale.disallowed) * portion - part.cost);
+                });
+
                 const trade = {
                     date,
                     symbol,
-                    underlyingSymbol: getUnderlyingSymbol(symbol),
+                    account,
+                    underlyingSymbol,
                     type: 'SELL_CLOSE',
-                    optionType: getOptionType(symbol),
+                    optionType,
                     strategy,
+                    structureId,
+                    chainId,
                     quantity,
                     premium: premiumReceived,
                     totalProceeds: premiumReceived, // Premium received when closed
                     totalCost: totalPremiumPaid, // Premium paid when opened
-                    realizedPL
+                    realizedPL,
+                    term: termOf(combinedTerm(closed)),
+                    ...washSaleFields(washSale)
                 };
 
                 trades.push(trade);
@@ -657,8 +1388,8 @@ function calculateOptionGains(transactions, stockPositions = {}, ownedSymbols =
 
         } else if (transactionType === 'OPTION_EXPIRED') {
             // Option expired worthless
-            if (optionPositions[symbol] && optionPositions[symbol].length > 0) {
-                const position = optionPositions[symbol].shift();
+            if (optionPositions[key] && optionPositions[key].length > 0) {
+                const position = optionPositions[key].shift();
                 const strategy = position.strategy;
 
                 if (position.type === 'SHORT') {
@@ -666,43 +1397,54 @@ function calculateOptionGains(transactions, stockPositions = {}, ownedSymbols =
                     const gain = position.quantity * position.premiumPerContract;
                     totalRealizedGains += gain;
                     strategyResults[strategy].premiumRetained += gain;
-                    // Options are treated as short-term capital gains
-                    optionTaxResults.shortTermGains += gain;
+                    // Written options are short-term
+                    addTermResult(optionTaxResults, termOf('SHORT'), gain);
 
                     const trade = {
                         date,
                         symbol,
-                        underlyingSymbol: getUnderlyingSymbol(symbol),
+                        account,
+                        underlyingSymbol,
                         type: 'EXPIRED',
                         optionType: position.optionType,
                         strategy,
+                        structureId: position.structureId,
+                        chainId: position.chainId,
                         quantity: position.quantity,
                         totalProceeds: gain, // Premium collected when opened
                         totalCost: 0, // No cost to close (expired worthless)
-                        realizedPL: gain
+                        realizedPL: gain,
+                        term: is1256 ? SECTION_1256_TERM : null
                     };
 
                     trades.push(trade);
                     strategyResults[strategy].trades.push(trade);
                 } else {
-                    // Long option expired - we lose the premium (loss)
-                    const loss = -(position.quantity * position.premiumPerContract);
+                    // Long option expired - we lose the premium (loss), held until expiration
+                    const shares = position.quantity * (position.details?.multiplier || 100);
+                    const washSale = optionWashSale(txn, -(position.quantity * position.premiumPerContract), [position], shares);
+                    const loss = -(position.quantity * position.premiumPerContract) + washSale.disallowed;
+                    const term = termOf(holdingTerm(position.date, date));
                     totalRealizedLosses += loss;
                     strategyResults[strategy].losses += Math.abs(loss);
-                    // Options are treated as short-term capital losses
-                    optionTaxResults.shortTermLosses += loss;
+                    addTermResult(optionTaxResults, term, loss);
 
                     const trade = {
                         date,
                         symbol,
-                        underlyingSymbol: getUnderlyingSymbol(symbol),
+                        account,
+                        underlyingSymbol,
                         type: 'EXPIRED',
                         optionType: position.optionType,
                         strategy,
+                        structureId: position.structureId,
+                        chainId: position.chainId,
                         quantity: position.quantity,
                         totalProceeds: 0, // No proceeds (expired worthless)
-                        totalCost: Math.abs(loss), // Premium paid when opened
-                        realizedPL: loss
+                        totalCost: position.quantity * position.premiumPerContract, // Premium paid when opened
+                        realizedPL: loss,
+                        term,
+                        ...washSaleFields(washSale)
                     };
 
                     trades.push(trade);
@@ -711,35 +1453,155 @@ function calculateOptionGains(transactions, stockPositions = {}, ownedSymbols =
             }
 
         } else if (transactionType === 'OPTION_ASSIGNED') {
-            // Option was assigned - close the position
-            if (optionPositions[symbol] && optionPositions[symbol].length > 0) {
-                const position = optionPositions[symbol].shift();
+            // Option was assigned - close the short contracts
+            if (optionPositions[key] && optionPositions[key].length > 0) {
+                let remainingToClose = quantity || optionPositions[key][0].quantity;
+                const closedQuantity = remainingToClose;
+                let premium = 0;
+                const position = optionPositions[key][0];
                 const strategy = position.strategy;
-                const gain = position.quantity * position.premiumPerContract;
-                totalRealizedGains += gain;
-                strategyResults[strategy].premiumRetained += gain;
-                // Options are treated as short-term capital gains
-                optionTaxResults.shortTermGains += gain;
 
+                while (remainingToClose > 0 && optionPositions[key].length > 0) {
+                    const open = optionPositions[key][0];
+                    if (open.quantity <= remainingToClose) {
+                        premium += open.quantity * open.premiumPerContract;
+                        remainingToClose -= open.quantity;
+                        optionPositions[key].shift();
+                    } else {
+                        premium += remainingToClose * open.premiumPerContract;
+                        open.quantity -= remainingToClose;
+                        remainingToClose = 0;
+                    }
+                }
+
+                strategyResults[strategy].premiumRetained += premium;
+
+                // IRS treatment: a call premium adds to the proceeds of the called-away shares and a put
+                // premium reduces the basis of the shares received, so the stock trade carries it.
+                // Without a linked stock trade it stays a short-term option gain.
+                const stockTxn = deliveryLinks.get(txn);
+                if (stockTxn) {
+                    addPremiumAdjustment(premiumAdjustments, stockTxn, {
+                        proceeds: position.optionType === 'CALL' ? premium : 0,
+                        cost: position.optionType === 'PUT' ? -premium : 0,
+                        premium,
+                        optionSymbol: symbol,
+                        acquiredOn: position.optionType === 'PUT' ? date : null
+                    });
+                } else {
+                    totalRealizedGains += premium;
+                    // Written options are short-term
+                    addTermResult(optionTaxResults, termOf('SHORT'), premium);
+                }
+
+                const realizedPL = stockTxn ? 0 : premium;
                 const trade = {
                     date,
                     symbol,
-                    underlyingSymbol: getUnderlyingSymbol(symbol),
+                    account,
+                    underlyingSymbol,
                     type: 'ASSIGNED',
                     optionType: position.optionType,
                     strategy,
-                    quantity: position.quantity,
-                    totalProceeds: gain, // Premium collected when opened
+                    structureId: position.structureId,
+                    chainId: position.chainId,
+                    quantity: closedQuantity - remainingToClose,
+                    totalProceeds: realizedPL, // Premium collected when opened, unless moved to the stock trade
                     totalCost: 0, // No cost to close (assigned)
-                    realizedPL: gain
+                    realizedPL,
+                    term: is1256 && !stockTxn ? SECTION_1256_TERM : null,
+                    // Premium folded into the linked stock trade instead of realized here
+                    premiumTransferred: stockTxn ? premium : 0,
+                    linkedStockTrade: stockTxn
+                        ? { date: stockTxn.date, symbol: stockTxn.symbol, type: stockTxn.transactionType, quantity: stockTxn.quantity }
+                        : null
+                };
+
+                trades.push(trade);
+                strategyResults[strategy].trades.push(trade);
+            }
+
+        } else if (transactionType === 'OPTION_EXERCISED') {
+            // Long option was exercised - close the long contracts
+            if (optionPositions[key] && optionPositions[key].length > 0) {
+                let remainingToClose = quantity || optionPositions[key][0].quantity;
+                const closedQuantity = remainingToClose;
+                let premium = 0;
+                const position = optionPositions[key][0];
+                const strategy = position.strategy;
+                const closed = []; // { quantity, cost, term } per opening purchase
+
+                while (remainingToClose > 0 && optionPositions[key].length > 0) {
+                    const open = optionPositions[key][0];
+                    const term = holdingTerm(open.date, date);
+                    if (open.quantity <= remainingToClose) {
+                        closed.push({ quantity: open.quantity, cost: open.quantity * open.premiumPerContract, term });
+                        premium += open.quantity * open.premiumPerContract;
+                        remainingToClose -= open.quantity;
+                        optionPositions[key].shift();
+                    } else {
+                        closed.push({ quantity: remainingToClose, cost: remainingToClose * open.premiumPerContract, term });
+                        premium += remainingToClose * open.premiumPerContract;
+                        open.quantity -= remainingToClose;
+                        remainingToClose = 0;
+                    }
+                }
+
+                // IRS treatment: a call premium adds to the basis of the shares acquired (held from the
+                // exercise date) and a put premium reduces the proceeds of the shares delivered.
+                // Without a linked stock trade the premium is written off as a short-term option loss.
+                const stockTxn = deliveryLinks.get(txn);
+                if (stockTxn) {
+                    addPremiumAdjustment(premiumAdjustments, stockTxn, {
+                        proceeds: position.optionType === 'PUT' ? -premium : 0,
+                        cost: position.optionType === 'CALL' ? premium : 0,
+                        premium,
+                        optionSymbol: symbol,
+                        acquiredOn: position.optionType === 'CALL' ? date : null
+                    });
+                } else {
+                    totalRealizedLosses -= premium;
+                    strategyResults[strategy].losses += premium;
+                    closed.forEach(part => addTermResult(optionTaxResults, termOf(part.term), -part.cost));
+                }
+
+                const realizedPL = stockTxn ? 0 : -premium;
+                const trade = {
+                    date,
+                    symbol,
+                    account,
+                    underlyingSymbol,
+                    type: 'EXERCISED',
+                    optionType: position.optionType,
+                    strategy,
+                    structureId: position.structureId,
+                    chainId: position.chainId,
+                    quantity: closedQuantity - remainingToClose,
+                    totalProceeds: 0, // Exercising pays out no premium
+                    totalCost: -realizedPL, // Premium paid when opened, unless moved to the stock trade
+                    realizedPL,
+                    term: stockTxn ? null : termOf(combinedTerm(closed)),
+                    // Premium folded into the linked stock trade instead of realized here
+                    premiumTransferred: stockTxn ? premium : 0,
+                    linkedStockTrade: stockTxn
+                        ? { date: stockTxn.date, symbol: stockTxn.symbol, type: stockTxn.transactionType, quantity: stockTxn.quantity }
+                        : null
                 };
 
                 trades.push(trade);
                 strategyResults[strategy].trades.push(trade);
             }
         }
+
+        if (trades.length > tradeCount) tradeOf.set(txn, trades[trades.length - 1]);
     }
 
+    // Marks after the last transaction apply to the contracts still open
+    pendingMarks.forEach(applyMark);
+
+    // Positions linked by rolls, first open to final close
+    const chains = linkRollChains(trades, rolls, tradeOf, optionPositions);
+
     // Calculate net P&L per strategy
     const strategySummary = {
         coveredCalls: {
@@ -761,17 +1623,32 @@ function calculateOptionGains(transactions, stockPositions = {}, ownedSymbols =
         longPuts: {
             ...strategyResults.longPuts,
             netPL: strategyResults.longPuts.gains - strategyResults.longPuts.losses
-        }
+        },
+        ...Object.fromEntries(STRUCTURE_STRATEGIES.map(key => [
+            key,
+            summarizeStructures(strategyResults[key], trades, optionPositions)
+        ]))
     };
 
-    // Calculate win rate
+    // Calculate win rate: single legs per closing trade, structures once all their legs are closed
     const totalClosedTrades = trades.filter(t =>
-        t.type === 'EXPIRED' || t.type === 'ASSIGNED' ||
-        t.type === 'BUY_CLOSE' || t.type === 'SELL_CLOSE'
+        !t.structureId && (
+            t.type === 'EXPIRED' || t.type === 'ASSIGNED' ||
+            t.type === 'BUY_CLOSE' || t.type === 'SELL_CLOSE'
+        )
     );
-    const winningTrades = totalClosedTrades.filter(t => t.realizedPL > 0);
-    const winRate = totalClosedTrades.length > 0
-        ? (winningTrades.length / totalClosedTrades.length) * 100
+    const winningTrades = totalClosedTrades.filter(t => t.realizedPL > 0 || t.premiumTransferred > 0);
+    const closedStructures = STRUCTURE_STRATEGIES.flatMap(key => strategySummary[key].structures.filter(s => s.closed));
+    const winningStructures = closedStructures.filter(s => s.netPL > 0);
+    const closedCount = totalClosedTrades.length + closedStructures.length;
+    const winRate = closedCount > 0
+        ? ((winningTrades.length + winningStructures.length) / closedCount) * 100
+        : 0;
+
+    // Win rate per chain: a rolled position counts once, when its last contract is closed
+    const closedChains = chains.filter(chain => chain.closed);
+    const chainWinRate = closedChains.length > 0
+        ? (closedChains.filter(chain => chain.netPL > 0).length / closedChains.length) * 100
         : 0;
 
     return {
@@ -783,7 +1660,11 @@ function calculateOptionGains(transactions, stockPositions = {}, ownedSymbols =
         longTermLosses: optionTaxResults.longTermLosses,
         trades,
         openPositions: optionPositions,
+        premiumAdjustments,
+        washSaleLosses,
         strategySummary,
-        winRate
+        winRate,
+        chains,
+        chainWinRate
     };
 }
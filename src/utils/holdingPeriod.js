@@ -0,0 +1,33 @@
+/**
+ * IRS holding period
+ *
+ * The count starts the day after acquisition, so a position is long-term only when sold after
+ * the one-year anniversary of its acquisition date (by calendar, not by day count). A February 29
+ * acquisition has its anniversary on February 28.
+ */
+
+/**
+ * Term of a position acquired and sold (or valued) on the given dates
+ * @returns {string} - 'LONG' or 'SHORT'
+ */
+export function holdingTerm(acquired, sold) {
+    const end = new Date(sold);
+    const saleDay = new Date(end.getFullYear(), end.getMonth(), end.getDate());
+    return saleDay > anniversary(acquired) ? 'LONG' : 'SHORT';
+}
+
+/**
+ * First day a position acquired on the given date is long-term
+ */
+export function longTermDate(acquired) {
+    const date = anniversary(acquired);
+    date.setDate(date.getDate() + 1);
+    return date;
+}
+
+function anniversary(acquired) {
+    const start = new Date(acquired);
+    const year = start.getFullYear() + 1;
+    const lastDayOfMonth = new Date(year, start.getMonth() + 1, 0).getDate();
+    return new Date(year, start.getMonth(), Math.min(start.getDate(), lastDayOfMonth));
+}
@@ -0,0 +1,308 @@
+import { registerBrokerAdapter, detectBrokerAdapter } from './brokerAdapters';
+import { formatOptionSymbol, parseOptionSymbol } from './optionSymbol';
+import { diagnoseImport } from './importDiagnostics';
+import { parseSplitRatio } from './corporateActions';
+import { decodeEntities } from './entities';
+
+/**
+ * Parse an Interactive Brokers Flex Query XML report
+ * @param {File|string} file - Flex XML file (or its text)
+ * @returns {Promise<{transactions: Array, source: string, report: Object}>}
+ */
+export async function parseFlexXML(file) {
+    const text = typeof file === 'string' ? file : await file.text();
+    const adapter = detectBrokerAdapter(text, 'xml');
+
+    if (!adapter) {
+        throw new Error('Unrecognized XML file. Expected an Interactive Brokers Flex Query report (<FlexQueryResponse>).');
+    }
+
+    const { transactions, report } = diagnoseImport(adapter.normalize(text), adapter.id);
+    return { transactions, source: adapter.id, report };
+}
+
+registerBrokerAdapter({
+    id: 'ibkr',
+    name: 'Interactive Brokers',
+    format: 'xml',
+    detect: (text) => text.includes('<FlexQueryResponse') || text.includes('<FlexStatement '),
+    normalize: (text) => normalizeFlex(text),
+    features: { options: true, dividends: true, cashBalance: false }
+});
+
+/**
+ * Normalize the Trades, OptionEAE, CorporateActions and CashTransactions (dividends) sections
+ */
+function normalizeFlex(xml) {
+    const transactions = [];
+
+    // Option closures booked in the Trades section (notes Ep/A/Ex); OptionEAE repeats them
+    const optionClosures = new Set();
+
+    for (const row of readElements(xml, 'Trade')) {
+        // ORDER and SYMBOL_SUMMARY rows total the executions listed next to them
+        if (!isExecutionRow(row)) continue;
+
+        const txn = normalizeTrade(row);
+        if (!txn) continue;
+
+        if (txn.isOption && ['OPTION_EXPIRED', 'OPTION_ASSIGNED', 'OPTION_EXERCISED'].includes(txn.transactionType)) {
+            optionClosures.add(closureKey(txn));
+        }
+        transactions.push(txn);
+    }
+
+    for (const row of readElements(xml, 'OptionEAE')) {
+        const txn = normalizeOptionEvent(row);
+        if (txn && !optionClosures.has(closureKey(txn))) {
+            transactions.push(txn);
+        }
+    }
+
+    for (const row of readElements(xml, 'CorporateAction')) {
+        transactions.push(normalizeCorporateAction(row));
+    }
+
+    for (const row of readElements(xml, 'CashTransaction')) {
+        const txn = normalizeCashTransaction(row);
+        if (txn) transactions.push(txn);
+    }
+
+    return transactions;
+}
+
+/**
+ * Whether a <Trade> row is a single fill. Queries with several levels of detail add order and
+ * symbol summary rows; reports without the attribute list executions only.
+ */
+function isExecutionRow(row) {
+    return !row.levelOfDetail || row.levelOfDetail.toUpperCase() === 'EXECUTION';
+}
+
+/**
+ * Normalize a <Trade> row (stocks and options)
+ */
+function normalizeTrade(row) {
+    const category = (row.assetCategory || '').toUpperCase();
+    if (category !== 'STK' && category !== 'OPT') return null;
+
+    const isOption = category === 'OPT';
+    const optionDetails = isOption ? buildOptionDetails(row) : null;
+    const buySell = (row.buySell || '').toUpperCase();
+    const openClose = (row.openCloseIndicator || '').toUpperCase();
+    const notes = (row.notes || '').split(';').map(n => n.trim());
+
+    let transactionType = 'OTHER';
+    if (!isOption) {
+        // An opening sell starts a short position; a closing buy covers it
+        if (buySell.startsWith('BUY')) transactionType = openClose === 'C' ? 'BUY_TO_COVER' : 'BUY';
+        else if (buySell.startsWith('SELL')) transactionType = openClose === 'O' ? 'SELL_SHORT' : 'SELL';
+    } else if (notes.includes('Ep')) {
+        transactionType = 'OPTION_EXPIRED';
+    } else if (notes.includes('A')) {
+        transactionType = 'OPTION_ASSIGNED';
+    } else if (notes.includes('Ex')) {
+        transactionType = 'OPTION_EXERCISED';
+    } else if (buySell.startsWith('SELL') && openClose.includes('O')) {
+        transactionType = 'OPTION_SELL_OPEN';
+    } else if (buySell.startsWith('BUY') && openClose.includes('O')) {
+        transactionType = 'OPTION_BUY_OPEN';
+    } else if (buySell.startsWith('SELL') && openClose.includes('C')) {
+        transactionType = 'OPTION_SELL_CLOSE';
+    } else if (buySell.startsWith('BUY') && openClose.includes('C')) {
+        transactionType = 'OPTION_BUY_CLOSE';
+    }
+
+    return {
+        date: parseFlexDate(row.tradeDate || row.dateTime),
+        action: [buySell, openClose === 'O' ? 'OPENING' : openClose === 'C' ? 'CLOSING' : '', row.notes || '']
+            .filter(Boolean).join(' '),
+        transactionType,
+        symbol: isOption ? formatOptionSymbol(optionDetails) : (row.symbol || '').trim(),
+        description: row.description || '',
+        quantity: Math.abs(parseFloat(row.quantity) || 0),
+        price: parseFloat(row.tradePrice) || 0,
+        commission: Math.abs(parseFloat(row.ibCommission) || 0),
+        fees: Math.abs(parseFloat(row.taxes) || 0),
+        amount: parseFloat(row.netCash) || 0,
+        isOption,
+        optionDetails,
+        account: row.accountId || 'Interactive Brokers',
+        accountType: '',
+        // Note code R: dividend reinvestment
+        reinvestment: !isOption && notes.includes('R'),
+        rawData: row
+    };
+}
+
+/**
+ * Normalize an <OptionEAE> row (exercise, assignment, expiration)
+ */
+function normalizeOptionEvent(row) {
+    const eventTypes = {
+        Assignment: 'OPTION_ASSIGNED',
+        Exercise: 'OPTION_EXERCISED',
+        Expiration: 'OPTION_EXPIRED'
+    };
+    const transactionType = eventTypes[row.transactionType];
+
+    // The Buy/Sell rows of this section are the stock deliveries, already present in Trades
+    if (!transactionType || (row.assetCategory && row.assetCategory !== 'OPT')) return null;
+
+    const optionDetails = buildOptionDetails(row);
+
+    return {
+        date: parseFlexDate(row.date || row.tradeDate),
+        action: row.transactionType.toUpperCase(),
+        transactionType,
+        symbol: formatOptionSymbol(optionDetails),
+        description: row.description || '',
+        quantity: Math.abs(parseFloat(row.quantity) || 0),
+        price: 0,
+        commission: 0,
+        fees: 0,
+        amount: 0,
+        isOption: true,
+        optionDetails,
+        account: row.accountId || 'Interactive Brokers',
+        accountType: '',
+        rawData: row
+    };
+}
+
+/**
+ * Normalize a <CorporateAction> row. Stock splits (FS/RS) and ticker changes (TC) become
+ * SPLIT/SYMBOL_CHANGE; other actions are kept as OTHER with the IBKR code in `action`.
+ */
+function normalizeCorporateAction(row) {
+    const type = (row.type || '').toUpperCase();
+    const isOption = (row.assetCategory || '').toUpperCase() === 'OPT';
+    const sharesDelta = parseFloat(row.quantity) || 0;
+    const description = row.description || row.actionDescription || '';
+
+    // Option adjustments are derived from the stock action by the gains engine
+    let transactionType = 'OTHER';
+    let corporateAction = null;
+    if (!isOption && (type === 'FS' || type === 'RS')) {
+        transactionType = 'SPLIT';
+        corporateAction = { ratio: parseSplitRatio(description), sharesDelta };
+    } else if (!isOption && type === 'TC') {
+        transactionType = 'SYMBOL_CHANGE';
+        corporateAction = { sharesDelta };
+    }
+
+    return {
+        date: parseFlexDate(row.reportDate || row.dateTime),
+        action: `CORPORATE ACTION ${type}`.trim(),
+        transactionType,
+        symbol: (row.symbol || '').trim(),
+        description,
+        quantity: Math.abs(sharesDelta),
+        price: 0,
+        commission: 0,
+        fees: 0,
+        amount: parseFloat(row.amount) || 0,
+        isOption,
+        optionDetails: null,
+        account: row.accountId || 'Interactive Brokers',
+        accountType: '',
+        corporateAction,
+        rawData: row
+    };
+}
+
+/**
+ * Normalize a <CashTransaction> dividend row. Other cash movements are skipped.
+ */
+function normalizeCashTransaction(row) {
+    const type = (row.type || '').toUpperCase();
+    if (!type.includes('DIVIDEND')) return null;
+
+    return {
+        date: parseFlexDate(row.dateTime || row.reportDate),
+        action: type,
+        transactionType: 'DIVIDEND',
+        symbol: (row.symbol || '').trim(),
+        description: row.description || '',
+        quantity: 0,
+        price: 0,
+        commission: 0,
+        fees: 0,
+        amount: parseFloat(row.amount) || 0,
+        isOption: false,
+        optionDetails: null,
+        account: row.accountId || 'Interactive Brokers',
+        accountType: '',
+        rawData: row
+    };
+}
+
+/**
+ * Build optionDetails from IBKR's underlyingSymbol/strike/expiry/putCall/multiplier fields
+ */
+function buildOptionDetails(row) {
+    // The OCC symbol still tells us about adjusted or mini roots
+    const parsed = parseOptionSymbol(row.symbol);
+    const ticker = (row.underlyingSymbol || parsed?.ticker || (row.symbol || '').split(/\s+/)[0] || '').trim();
+    const putCall = (row.putCall || '').toUpperCase();
+
+    return {
+        ticker,
+        root: parsed?.root || ticker,
+        expiry: parseFlexDate(row.expiry),
+        type: putCall.startsWith('C') ? 'CALL' : 'PUT',
+        strike: parseFloat(row.strike) || 0,
+        multiplier: parseFloat(row.multiplier) || parsed?.multiplier || 100,
+        isAdjusted: parsed?.isAdjusted || false,
+        isMini: parsed?.isMini || false
+    };
+}
+
+/**
+ * Key used to match OptionEAE rows against Trades closures
+ */
+function closureKey(txn) {
+    return `${txn.symbol}|${txn.date.getTime()}|${txn.transactionType}`;
+}
+
+/**
+ * Parse Flex dates: "20250117", "20250117;093000" or "2025-01-17"
+ */
+function parseFlexDate(value) {
+    if (!value) return new Date(NaN);
+
+    const datePart = value.split(/[;, ]/)[0];
+    const compact = datePart.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (compact) {
+        return new Date(parseInt(compact[1]), parseInt(compact[2]) - 1, parseInt(compact[3]));
+    }
+
+    const iso = datePart.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) {
+        return new Date(parseInt(iso[1]), parseInt(iso[2]) - 1, parseInt(iso[3]));
+    }
+
+    return new Date(value);
+}
+
+/**
+ * Read all elements with the given tag as attribute maps.
+ * Flex reports store every field as an attribute, so no full XML parser is needed.
+ */
+function readElements(xml, tagName) {
+    const elements = [];
+    const elementPattern = new RegExp(`<${tagName}\\s([^>]*?)/?>`, 'g');
+    const attrPattern = /([\w:.-]+)\s*=\s*"([^"]*)"/g;
+
+    let match;
+    while ((match = elementPattern.exec(xml)) !== null) {
+        const attributes = {};
+        let attr;
+        while ((attr = attrPattern.exec(match[1])) !== null) {
+            attributes[attr[1]] = decodeEntities(attr[2]);
+        }
+        elements.push(attributes);
+    }
+
+    return elements;
+}
@@ -0,0 +1,124 @@
+/**
+ * Import diagnostics: everything a parse left out or couldn't classify
+ *
+ * Normalizers map every row they read; `diagnoseImport` then drops the rows the gains
+ * engine can't use and records why, so the UI can show what the numbers are missing.
+ */
+
+// Trades whose quantity drives lots or contracts; a zero there is almost always a parse problem
+const QUANTITY_TYPES = [
+    'BUY', 'SELL', 'SELL_SHORT', 'BUY_TO_COVER',
+    'OPTION_SELL_OPEN', 'OPTION_BUY_OPEN', 'OPTION_SELL_CLOSE', 'OPTION_BUY_CLOSE',
+    'OPTION_ASSIGNED', 'OPTION_EXPIRED', 'OPTION_EXERCISED'
+];
+
+const MAX_EXAMPLES = 3;
+
+/**
+ * Split normalized rows into usable transactions and an import report
+ * @param {Array} normalized - Every row an adapter produced, including ones without a symbol
+ * @param {string} source - Adapter id
+ * @returns {{transactions: Array, report: Object}}
+ */
+export function diagnoseImport(normalized, source) {
+    const transactions = [];
+    const dropped = [];
+    const invalidDates = [];
+    const unrecognized = [];
+    const rejectedOptionSymbols = [];
+    const zeroQuantityTrades = [];
+
+    for (const txn of normalized) {
+        if (!txn.symbol) {
+            dropped.push(txn);
+            continue;
+        }
+        if (!(txn.date instanceof Date) || isNaN(txn.date)) {
+            invalidDates.push(summarizeRow(txn));
+            continue;
+        }
+
+        transactions.push(txn);
+
+        if (txn.transactionType === 'OTHER') {
+            unrecognized.push(txn);
+        }
+        if (txn.isOption && !txn.optionDetails) {
+            rejectedOptionSymbols.push(summarizeRow(txn));
+        }
+        if (QUANTITY_TYPES.includes(txn.transactionType) && !txn.quantity) {
+            zeroQuantityTrades.push(summarizeRow(txn));
+        }
+    }
+
+    const report = {
+        source,
+        totalRows: normalized.length,
+        importedRows: transactions.length,
+        unrecognizedActions: groupByPattern(unrecognized),
+        droppedRows: groupByPattern(dropped),
+        invalidDates,
+        rejectedOptionSymbols,
+        zeroQuantityTrades
+    };
+    report.issueCount = countIssues(report);
+
+    return { transactions, report };
+}
+
+/**
+ * Number of rows flagged by a report
+ */
+export function countIssues(report) {
+    const grouped = [...report.unrecognizedActions, ...report.droppedRows]
+        .reduce((sum, group) => sum + group.count, 0);
+    return grouped + report.invalidDates.length + report.rejectedOptionSymbols.length + report.zeroQuantityTrades.length;
+}
+
+/**
+ * Reduce a broker action to its pattern so rows of the same kind group together,
+ * e.g. "SHORT-TERM CAP GAIN FIDELITY SELECT SEMICONDUCTORS PORT (FSELX) (Cash)" -> "SHORT-TERM CAP GAIN"
+ */
+export function actionPattern(action, description = '') {
+    let text = (action || '').toUpperCase();
+    const name = description.toUpperCase().trim();
+
+    // Fidelity repeats the security description inside the action
+    if (name) text = text.replace(name, ' ');
+
+    return text
+        .replace(/\([^)]*\)/g, ' ')
+        .replace(/\b\d+(?:[/.,-]\d+)*\b/g, '#')
+        .replace(/\s+/g, ' ')
+        .trim() || '(no action)';
+}
+
+function groupByPattern(transactions) {
+    const groups = new Map();
+
+    for (const txn of transactions) {
+        const pattern = actionPattern(txn.action, txn.description);
+        if (!groups.has(pattern)) {
+            groups.set(pattern, { pattern, count: 0, amount: 0, examples: [] });
+        }
+        const group = groups.get(pattern);
+        group.count++;
+        group.amount += txn.amount || 0;
+        if (group.examples.length < MAX_EXAMPLES) group.examples.push(summarizeRow(txn));
+    }
+
+    return [...groups.values()].sort((a, b) => b.count - a.count);
+}
+
+function summarizeRow(txn) {
+    const validDate = txn.date instanceof Date && !isNaN(txn.date);
+    return {
+        date: validDate ? txn.date : null,
+        action: txn.action || '',
+        symbol: txn.symbol || '',
+        description: txn.description || '',
+        quantity: txn.quantity,
+        amount: txn.amount,
+        account: txn.account || ''
+    };
+}
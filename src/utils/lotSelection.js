@@ -0,0 +1,163 @@
+import { loadJSON, saveJSON } from './storage';
+import { toISODay } from './dates';
+
+/**
+ * Lot relief methods and specific lot identification (SpecID)
+ *
+ * With SpecID a sale can be pinned to chosen open lots. Choices are saved per sale as
+ * { [saleKey]: [{ lotId, quantity }, ...] }; a sale without a choice (or shares left over
+ * after it) falls back to a regular method.
+ *
+ * The method can also be overridden per security type or per symbol:
+ * { types: { MUTUAL_FUND: 'AVERAGE' }, symbols: { VTI: 'TAXSENSITIVE' } }
+ */
+const SELECTIONS_KEY = 'lotSelections';
+const FALLBACK_KEY = 'specIdFallback';
+const OVERRIDES_KEY = 'lotMethodOverrides';
+
+/**
+ * Methods that pick lots automatically
+ */
+export const LOT_METHODS = [
+    { id: 'FIFO', label: 'FIFO (First-In, First-Out)' },
+    { id: 'LIFO', label: 'LIFO (Last-In, First-Out)' },
+    { id: 'HIFO', label: 'HIFO (Highest-In, First-Out)' },
+    { id: 'LOWCOST', label: 'Lowest Cost' },
+    { id: 'TAXSENSITIVE', label: 'Tax Sensitive (Minimum Tax)' },
+    { id: 'AVERAGE', label: 'Average Cost' }
+];
+
+/**
+ * Security types a method can be set for
+ */
+export const SECURITY_TYPES = [
+    { id: 'STOCK', label: 'Stocks & ETFs' },
+    { id: 'MUTUAL_FUND', label: 'Mutual Funds' }
+];
+
+/**
+ * Security type of a ticker: mutual funds use five-letter symbols ending in X (FXAIX, VTSAX)
+ */
+export function securityType(symbol) {
+    return /^[A-Z]{4}X$/.test(symbol || '') ? 'MUTUAL_FUND' : 'STOCK';
+}
+
+/**
+ * Method set for a symbol or its security type, or null to use the global method
+ */
+export function resolveLotMethod(symbol, overrides = {}) {
+    return overrides.symbols?.[symbol] || overrides.types?.[securityType(symbol)] || null;
+}
+
+/**
+ * Index of the next lot to sell from
+ * @param {Array} lots - Open lots in purchase order
+ * @param {string} method - One of LOT_METHODS
+ * @param {Object} sale - { proceedsPerShare, isLongTerm(lot) }, used by TAXSENSITIVE
+ */
+export function pickLotIndex(lots, method, sale) {
+    if (method === 'LIFO') return lots.length - 1; // Last In
+
+    if (method === 'LOWCOST') {
+        return lots.reduce((best, lot, idx) => (lot.costPerShare < lots[best].costPerShare ? idx : best), 0);
+    }
+
+    if (method === 'TAXSENSITIVE') {
+        // Long-term losses, short-term losses, long-term gains, then short-term gains;
+        // the largest loss and the smallest gain first within each group
+        const rank = (lot) => {
+            const gain = sale.proceedsPerShare - lot.costPerShare;
+            const longTerm = sale.isLongTerm(lot);
+            return [gain < 0 ? (longTerm ? 0 : 1) : (longTerm ? 2 : 3), gain];
+        };
+        return lots.reduce((best, lot, idx) => {
+            const [a, b] = [rank(lot), rank(lots[best])];
+            return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]) ? idx : best;
+        }, 0);
+    }
+
+    if (method === 'HIFO') {
+        // Highest Cost In
+        let lotIndex = 0;
+        let maxCost = -1;
+        lots.forEach((lot, idx) => {
+            if (lot.costPerShare > maxCost) {
+                maxCost = lot.costPerShare;
+                lotIndex = idx;
+            }
+        });
+        return lotIndex;
+    }
+
+    return 0; // FIFO (default) and AVERAGE: First In, which sets the holding period
+}
+
+/**
+ * Average cost: every open share of the position takes the pooled cost per share
+ */
+export function poolAverageCost(lots) {
+    const shares = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    if (shares <= 0) return;
+
+    const average = lots.reduce((sum, lot) => sum + lot.quantity * lot.costPerShare, 0) / shares;
+    lots.forEach(lot => {
+        lot.costPerShare = average;
+    });
+}
+
+/**
+ * Stable identifier of a sale, so choices survive re-imports and merged files
+ */
+export function saleKey(txn) {
+    return [txn.account || '', txn.symbol, toISODay(txn.date), txn.quantity, txn.price].join('|');
+}
+
+/**
+ * Stable identifier of the lot a purchase opens
+ */
+export function lotId(txn) {
+    return [txn.account || '', txn.symbol, toISODay(txn.date), txn.quantity, txn.price || Math.abs(txn.amount)].join('|');
+}
+
+/**
+ * Saved lot choices, keyed by saleKey
+ */
+export function loadLotSelections() {
+    return loadJSON(SELECTIONS_KEY, {});
+}
+
+/**
+ * Persist lot choices
+ */
+export function saveLotSelections(selections) {
+    saveJSON(SELECTIONS_KEY, selections);
+}
+
+/**
+ * Method used for sales without a SpecID choice
+ */
+export function loadSpecIdFallback() {
+    return loadJSON(FALLBACK_KEY, 'FIFO');
+}
+
+/**
+ * Persist the SpecID fallback method
+ */
+export function saveSpecIdFallback(method) {
+    saveJSON(FALLBACK_KEY, method);
+}
+
+/**
+ * Saved per-type and per-symbol method overrides
+ */
+export function loadLotMethodOverrides() {
+    return loadJSON(OVERRIDES_KEY, { types: {}, symbols: {} });
+}
+
+/**
+ * Persist method overrides
+ */
+export function saveLotMethodOverrides(overrides) {
+    saveJSON(OVERRIDES_KEY, overrides);
+}
+
@@ -0,0 +1,53 @@
+/**
+ * Money-market sweep funds (the "core" cash position)
+ *
+ * Brokers sweep idle cash into a $1 NAV fund and post a dividend + reinvestment pair for it
+ * every month. Those rows carry no capital gain, so the gains engine keeps them out of lot
+ * tracking and reports them as a single cash-sweep summary instead.
+ */
+export const MONEY_MARKET_SYMBOLS = [
+    // Fidelity core positions
+    'SPAXX', 'FDRXX', 'FZFXX', 'SPRXX', 'FZDXX', 'FCASH', 'CORE',
+    // Schwab
+    'SWVXX', 'SNVXX', 'SNSXX', 'SWGXX', 'SNOXX',
+    // Vanguard
+    'VMFXX', 'VMRXX', 'VUSXX'
+];
+
+/**
+ * Whether a transaction symbol is a money-market sweep fund
+ * @param {string} symbol - Ticker
+ * @param {string} description - Security description, checked for "MONEY MARKET"
+ */
+export function isMoneyMarketFund(symbol, description = '') {
+    const ticker = (symbol || '').trim().toUpperCase().replace(/\*+$/, '');
+    if (MONEY_MARKET_SYMBOLS.includes(ticker)) return true;
+    return /\bMONEY MARKET\b/i.test(description) && /^[A-Z]{4}X$/.test(ticker);
+}
+
+/**
+ * Summarize money-market activity: income and reinvested amounts per fund
+ * @param {Array} transactions - Normalized money-market transactions
+ * @returns {Object} - { symbols, income, reinvested, transactionCount }
+ */
+export function summarizeCashSweep(transactions) {
+    const symbols = new Set();
+    let income = 0;
+    let reinvested = 0;
+
+    for (const txn of transactions) {
+        symbols.add(txn.symbol);
+        if (txn.transactionType === 'DIVIDEND') {
+            income += txn.amount;
+        } else if (txn.reinvestment) {
+            reinvested += Math.abs(txn.amount);
+        }
+    }
+
+    return {
+        symbols: [...symbols].sort(),
+        income,
+        reinvested,
+        transactionCount: transactions.length
+    };
+}
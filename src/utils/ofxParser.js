@@ -0,0 +1,278 @@
+import { registerBrokerAdapter, detectBrokerAdapter } from './brokerAdapters';
+import { formatOptionSymbol, parseOptionSymbol } from './optionSymbol';
+import { diagnoseImport } from './importDiagnostics';
+import { decodeEntities } from './entities';
+
+/**
+ * Parse an OFX/QFX investment statement
+ * @param {File|string} file - .ofx/.qfx file (or its text)
+ * @returns {Promise<{transactions: Array, source: string, report: Object}>}
+ */
+export async function parseOFX(file) {
+    const text = typeof file === 'string' ? file : await file.text();
+    const adapter = detectBrokerAdapter(text, 'ofx');
+
+    if (!adapter) {
+        throw new Error('Unrecognized OFX file. Expected an investment statement containing <OFX>.');
+    }
+
+    const { transactions, report } = diagnoseImport(adapter.normalize(text), adapter.id);
+    return { transactions, source: adapter.id, report };
+}
+
+registerBrokerAdapter({
+    id: 'ofx',
+    name: 'OFX/QFX',
+    format: 'ofx',
+    detect: (text) => /<OFX>/i.test(text) && /<INVSTMTRS>/i.test(text),
+    normalize: (text) => normalizeOFX(text),
+    features: { options: true, dividends: true, cashBalance: false }
+});
+
+/**
+ * Map INVTRANLIST records to normalized transactions
+ */
+function normalizeOFX(text) {
+    const root = parseOFXTree(text);
+    const securities = buildSecurityList(root);
+    const transactions = [];
+
+    for (const statement of findAll(root, 'INVSTMTRS')) {
+        const account = value(statement, 'INVACCTFROM/ACCTID') || 'OFX/QFX';
+
+        for (const tranList of findAll(statement, 'INVTRANLIST')) {
+            for (const record of tranList.children) {
+                const txn = normalizeRecord(record, securities, account);
+                if (txn) transactions.push(txn);
+            }
+        }
+    }
+
+    return transactions;
+}
+
+/**
+ * Normalize one BUYSTOCK/SELLSTOCK/BUYOPT/SELLOPT/CLOSUREOPT/INCOME/REINVEST/SPLIT record
+ */
+function normalizeRecord(record, securities, account) {
+    // BUY*/SELL* records wrap the shared fields in INVBUY/INVSELL
+    const body = child(record, 'INVBUY') || child(record, 'INVSELL') || record;
+    const security = securities[securityKey(child(body, 'SECID'))] || {};
+    const units = parseFloat(value(body, 'UNITS')) || 0;
+
+    let transactionType;
+    let isOption = false;
+
+    switch (record.tag) {
+        case 'BUYSTOCK':
+        case 'BUYMF':
+            transactionType = value(record, 'BUYTYPE') === 'BUYTOCOVER' ? 'BUY_TO_COVER' : 'BUY';
+            break;
+        case 'SELLSTOCK':
+        case 'SELLMF':
+            transactionType = value(record, 'SELLTYPE') === 'SELLSHORT' ? 'SELL_SHORT' : 'SELL';
+            break;
+        case 'BUYOPT':
+            isOption = true;
+            transactionType = value(record, 'OPTBUYTYPE') === 'BUYTOCLOSE' ? 'OPTION_BUY_CLOSE' : 'OPTION_BUY_OPEN';
+            break;
+        case 'SELLOPT':
+            isOption = true;
+            transactionType = value(record, 'OPTSELLTYPE') === 'SELLTOCLOSE' ? 'OPTION_SELL_CLOSE' : 'OPTION_SELL_OPEN';
+            break;
+        case 'CLOSUREOPT': {
+            isOption = true;
+            const closureTypes = {
+                EXPIRE: 'OPTION_EXPIRED',
+                ASSIGN: 'OPTION_ASSIGNED',
+                EXERCISE: 'OPTION_EXERCISED'
+            };
+            transactionType = closureTypes[value(record, 'OPTACTION')] || 'OTHER';
+            break;
+        }
+        case 'REINVEST':
+            // Income reinvested in the same security: a purchase lot
+            transactionType = 'BUY';
+            break;
+        case 'INCOME':
+            transactionType = value(record, 'INCOMETYPE') === 'DIV' ? 'DIVIDEND' : 'OTHER';
+            break;
+        case 'SPLIT':
+            transactionType = 'SPLIT';
+            break;
+        default:
+            return null;
+    }
+
+    const optionDetails = isOption ? security.optionDetails || parseOptionSymbol(security.ticker || '') : null;
+    const symbol = optionDetails ? formatOptionSymbol(optionDetails) : security.ticker || '';
+    const subtype = value(record, 'OPTBUYTYPE') || value(record, 'OPTSELLTYPE') ||
+        value(record, 'OPTACTION') || value(record, 'INCOMETYPE') ||
+        value(record, 'BUYTYPE') || value(record, 'SELLTYPE') || '';
+
+    return {
+        date: parseOFXDate(value(body, 'INVTRAN/DTTRADE')),
+        action: `${record.tag} ${subtype}`.trim(),
+        transactionType,
+        symbol,
+        description: value(body, 'INVTRAN/MEMO') || security.name || '',
+        quantity: Math.abs(units),
+        price: parseFloat(value(body, 'UNITPRICE')) || 0,
+        commission: parseFloat(value(body, 'COMMISSION')) || 0,
+        fees: parseFloat(value(body, 'FEES')) || 0,
+        amount: parseFloat(value(body, 'TOTAL')) || 0,
+        isOption,
+        optionDetails,
+        account,
+        accountType: value(body, 'SUBACCTSEC'),
+        corporateAction: record.tag === 'SPLIT' ? buildSplit(record) : null,
+        reinvestment: record.tag === 'REINVEST',
+        rawData: { fitId: value(body, 'INVTRAN/FITID'), type: record.tag, subtype }
+    };
+}
+
+/**
+ * SPLIT records state the ratio as NUMERATOR/DENOMINATOR (new/old shares)
+ */
+function buildSplit(record) {
+    const numerator = parseFloat(value(record, 'NUMERATOR'));
+    const denominator = parseFloat(value(record, 'DENOMINATOR'));
+    const ratio = numerator > 0 && denominator > 0 ? numerator / denominator : null;
+    const sharesDelta = (parseFloat(value(record, 'NEWUNITS')) || 0) - (parseFloat(value(record, 'OLDUNITS')) || 0);
+
+    return { ratio, sharesDelta };
+}
+
+/**
+ * Index SECLIST entries by SECID so records can resolve tickers and option terms
+ */
+function buildSecurityList(root) {
+    const securities = {};
+
+    for (const info of findAll(root, 'SECINFO')) {
+        securities[securityKey(child(info, 'SECID'))] = {
+            ticker: (value(info, 'TICKER') || '').trim(),
+            name: value(info, 'SECNAME') || ''
+        };
+    }
+
+    // OPTINFO carries the option terms next to SECINFO, plus the underlying's SECID
+    for (const opt of findAll(root, 'OPTINFO')) {
+        const info = child(opt, 'SECINFO');
+        const entry = securities[securityKey(child(info, 'SECID'))];
+        if (!entry) continue;
+
+        const underlying = securities[securityKey(child(opt, 'SECID'))];
+        const expiry = parseOFXDate(value(opt, 'DTEXPIRE'));
+        const strike = parseFloat(value(opt, 'STRIKEPRICE'));
+        const parsed = parseOptionSymbol(entry.ticker);
+        const ticker = underlying?.ticker || parsed?.ticker || '';
+
+        if (ticker && !isNaN(strike)) {
+            entry.optionDetails = {
+                ticker,
+                root: parsed?.root || ticker,
+                expiry,
+                type: value(opt, 'OPTTYPE') === 'CALL' ? 'CALL' : 'PUT',
+                strike,
+                multiplier: parseFloat(value(opt, 'SHPERCTRCT')) || parsed?.multiplier || 100,
+                isAdjusted: parsed?.isAdjusted || false,
+                isMini: parsed?.isMini || false
+            };
+        }
+    }
+
+    return securities;
+}
+
+function securityKey(secId) {
+    if (!secId) return '';
+    return `${value(secId, 'UNIQUEIDTYPE')}:${value(secId, 'UNIQUEID')}`;
+}
+
+/**
+ * Parse OFX dates: YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]
+ */
+function parseOFXDate(dateStr) {
+    if (!dateStr) return new Date(NaN);
+
+    const match = dateStr.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) return new Date(dateStr);
+
+    return new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+}
+
+/**
+ * Build an element tree from OFX text. Handles both OFX 1.x SGML, where leaf elements
+ * have no closing tag, and OFX 2.x XML.
+ * Nodes look like { tag, value, children }.
+ */
+function parseOFXTree(text) {
+    const start = text.search(/<OFX>/i);
+    const body = start >= 0 ? text.slice(start) : text;
+    const root = { tag: 'ROOT', value: '', children: [] };
+    const stack = [root];
+    const tokenPattern = /<(\/?)([A-Za-z0-9._]+)[^>]*?(\/?)>([^<]*)/g;
+
+    let match;
+    while ((match = tokenPattern.exec(body)) !== null) {
+        const [, closing, rawTag, selfClosing, rawText] = match;
+        const tag = rawTag.toUpperCase();
+        const content = rawText.trim();
+
+        if (closing) {
+            // Pop back to the matching aggregate; unmatched closers (XML-style leaf closers) are ignored
+            const index = stack.map(n => n.tag).lastIndexOf(tag);
+            if (index > 0) {
+                // Aggregates always have a closer, so text-less elements still open above it were
+                // empty SGML leaves (e.g. <MEMO>): their "children" are really their siblings
+                for (let i = stack.length - 1; i > index; i--) {
+                    hoistChildren(stack[i - 1], stack[i]);
+                }
+                stack.length = index;
+            }
+            continue;
+        }
+
+        const node = { tag, value: content, children: [] };
+        stack[stack.length - 1].children.push(node);
+
+        // Elements with text are leaves; elements without text open an aggregate until shown otherwise
+        if (!content && !selfClosing) stack.push(node);
+    }
+
+    return root;
+}
+
+/**
+ * Move a node's children up to follow it in its parent
+ */
+function hoistChildren(parent, node) {
+    const index = parent.children.indexOf(node);
+    parent.children.splice(index + 1, 0, ...node.children);
+    node.children = [];
+}
+
+function child(node, tag) {
+    return node?.children.find(c => c.tag === tag) || null;
+}
+
+/**
+ * Read a leaf value by path, e.g. value(node, 'INVTRAN/DTTRADE')
+ */
+function value(node, path) {
+    let current = node;
+    for (const tag of path.split('/')) {
+        current = child(current, tag);
+        if (!current) return '';
+    }
+    return decodeEntities(current.value);
+}
+
+function findAll(node, tag, found = []) {
+    for (const c of node.children) {
+        if (c.tag === tag) found.push(c);
+        findAll(c, tag, found);
+    }
+    return found;
+}
@@ -0,0 +1,148 @@
+import { formatOptionSymbol } from './optionSymbol';
+import { holdingTerm, longTermDate } from './holdingPeriod';
+import { quoteSymbol } from './quotes';
+import { SECTION_1256_TERM, LONG_TERM_SHARE } from './section1256';
+import { DAY_MS } from './dates';
+
+/**
+ * Open positions valued at local quotes
+ *
+ * Lists the stock lots, short stock lots and option contracts left open after every transaction,
+ * with cost basis, age and holding term as of a date. Positions with a quote also get a market
+ * value and unrealized P&L; totals cover priced positions only.
+ * @param {Object} stockResults - stockResults from calculateGainsLosses
+ * @param {Object} optionResults - optionResults from calculateGainsLosses
+ * @param {Object} quotes - { [symbol]: { price, date } }, see quotes.js
+ * @param {Date} asOf - Valuation date (defaults to today)
+ * @returns {Object} - { stocks, shortStocks, options, totals }
+ */
+export function summarizeOpenPositions(stockResults, optionResults, quotes = {}, asOf = new Date()) {
+    const stocks = [];
+    for (const [key, lots] of Object.entries(stockResults?.openPositions || {})) {
+        for (const lot of lots) {
+            if (lot.quantity <= 0) continue;
+            const symbol = symbolFromKey(key, lot.account);
+            const costBasis = lot.quantity * lot.costPerShare;
+
+            stocks.push({
+                ...valued(quotes[quoteSymbol(symbol)], lot.quantity, value => value - costBasis),
+                symbol,
+                account: lot.account,
+                quantity: lot.quantity,
+                date: lot.date,
+                costPerShare: lot.costPerShare,
+                costBasis,
+                ageDays: ageDays(lot.date, asOf),
+                term: holdingTerm(lot.date, asOf),
+                longTermOn: longTermDate(lot.date),
+                washReplacement: Boolean(lot.washReplacement)
+            });
+        }
+    }
+
+    const shortStocks = [];
+    for (const [key, lots] of Object.entries(stockResults?.openShortPositions || {})) {
+        for (const lot of lots) {
+            if (lot.quantity <= 0) continue;
+            const symbol = symbolFromKey(key, lot.account);
+            const proceeds = lot.quantity * lot.proceedsPerShare;
+
+            // Gains on closing a short sale are short-term whatever the holding period
+            shortStocks.push({
+                ...valued(quotes[quoteSymbol(symbol)], lot.quantity, value => proceeds - value),
+                symbol,
+                account: lot.account,
+                quantity: lot.quantity,
+                date: lot.date,
+                proceedsPerShare: lot.proceedsPerShare,
+                proceeds,
+                ageDays: ageDays(lot.date, asOf),
+                term: 'SHORT'
+            });
+        }
+    }
+
+    const options = [];
+    for (const [key, positions] of Object.entries(optionResults?.openPositions || {})) {
+        for (const position of positions) {
+            if (position.quantity <= 0) continue;
+            const symbol = position.details ? formatOptionSymbol(position.details) : symbolFromKey(key, position.account);
+            const multiplier = position.details?.multiplier || 100;
+            const basis = position.quantity * position.premiumPerContract;
+            const isShort = position.type === 'SHORT';
+
+            // Short options always close short-term and long ones follow the holding period,
+            // except Section 1256 contracts (60/40, with the basis reset by any year-end mark)
+            const term = position.section1256 ? SECTION_1256_TERM : (isShort ? 'SHORT' : holdingTerm(position.date, asOf));
+
+            options.push({
+                ...valued(quotes[quoteSymbol(symbol)], position.quantity * multiplier,
+                    value => isShort ? basis - value : value - basis),
+                symbol,
+                account: position.account,
+                underlyingSymbol: position.underlyingSymbol,
+                side: position.type,
+                optionType: position.optionType,
+                strategy: position.strategy,
+                quantity: position.quantity,
+                date: position.date,
+                expiry: position.details?.expiry || null,
+                premiumPerContract: position.premiumPerContract,
+                costBasis: basis,
+                ageDays: ageDays(position.date, asOf),
+                term,
+                longTermOn: term === 'SHORT' && !isShort ? longTermDate(position.date) : null,
+                markedAt: position.markedAt || null
+            });
+        }
+    }
+
+    // Short positions are liabilities and count against market value
+    const priced = [
+        ...stocks.map(row => ({ row, sign: 1 })),
+        ...shortStocks.map(row => ({ row, sign: -1 })),
+        ...options.map(row => ({ row, sign: row.side === 'SHORT' ? -1 : 1 }))
+    ].filter(({ row }) => row.price !== null);
+
+    const totals = {
+        marketValue: priced.reduce((sum, { row, sign }) => sum + sign * row.marketValue, 0),
+        unrealizedPL: priced.reduce((sum, { row }) => sum + row.unrealizedPL, 0),
+        shortTermPL: priced.reduce((sum, { row }) => sum + row.unrealizedPL * termShare(row.term, 'SHORT'), 0),
+        longTermPL: priced.reduce((sum, { row }) => sum + row.unrealizedPL * termShare(row.term, 'LONG'), 0),
+        pricedCount: priced.length,
+        unpricedCount: stocks.length + shortStocks.length + options.length - priced.length
+    };
+
+    return { stocks, shortStocks, options, totals };
+}
+
+/**
+ * Price, market value and unrealized P&L of a position, or nulls without a quote
+ */
+function valued(quote, units, unrealized) {
+    if (!quote || typeof quote.price !== 'number') {
+        return { price: null, priceDate: null, marketValue: null, unrealizedPL: null };
+    }
+    const marketValue = quote.price * units;
+    return { price: quote.price, priceDate: quote.date, marketValue, unrealizedPL: unrealized(marketValue) };
+}
+
+/**
+ * Share of a position's result with the given term
+ */
+function termShare(term, wanted) {
+    if (term === SECTION_1256_TERM) return wanted === 'LONG' ? LONG_TERM_SHARE : 1 - LONG_TERM_SHARE;
+    return term === wanted ? 1 : 0;
+}
+
+function symbolFromKey(key, account) {
+    return account && key.startsWith(`${account}|`) ? key.slice(account.length + 1) : key;
+}
+
+function ageDays(date, asOf) {
+    const start = new Date(date);
+    const end = new Date(asOf);
+    const startDay = Date.UTC(start.getFullYear(), start.getMonth(), start.getDate());
+    const endDay = Date.UTC(end.getFullYear(), end.getMonth(), end.getDate());
+    return Math.max(Math.round((endDay - startDay) / DAY_MS), 0);
+}
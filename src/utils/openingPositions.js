@@ -0,0 +1,117 @@
+import Papa from 'papaparse';
+import { loadJSON, saveJSON } from './storage';
+import { parseNumber, resolveColumns } from './csvParser';
+import { toISODate } from './dates';
+
+/**
+ * Opening positions: stock lots bought before the first imported transaction
+ *
+ * Without them, sells of older shares have no lots to match and are booked with a $0 basis.
+ * Entries look like { id, symbol, quantity, date: 'YYYY-MM-DD', costBasis (total), account }
+ * and join the timeline as BUY transactions dated on their acquisition date.
+ */
+const STORAGE_KEY = 'openingPositions';
+
+// Accepted CSV headers, compared lowercase with punctuation removed
+const COLUMN_ALIASES = {
+    symbol: ['symbol', 'ticker'],
+    quantity: ['quantity', 'shares', 'qty'],
+    date: ['dateacquired', 'acquired', 'acquisitiondate', 'date', 'opendate'],
+    costBasis: ['costbasis', 'cost', 'totalcost', 'basis'],
+    account: ['account', 'accountnumber', 'accountname']
+};
+
+/**
+ * Parse opening lots from CSV text
+ * Columns: Symbol, Quantity, Date Acquired (MM/DD/YYYY or YYYY-MM-DD), Cost Basis (total), Account (optional)
+ * @param {string} text - CSV contents
+ * @param {string} defaultAccount - Account for rows without one
+ * @returns {Array} - Opening lot entries
+ * @throws {Error} if required columns are missing or a row can't be read
+ */
+export function parseOpeningPositionsCSV(text, defaultAccount = '') {
+    const { data, meta } = Papa.parse(text, { header: true, skipEmptyLines: true });
+    const columns = resolveColumns(meta.fields || [], COLUMN_ALIASES);
+
+    const missing = ['symbol', 'quantity', 'date', 'costBasis'].filter(field => !columns[field]);
+    if (missing.length > 0) {
+        throw new Error(
+            `Opening positions CSV is missing columns: ${missing.join(', ')}. ` +
+            'Expected Symbol, Quantity, Date Acquired, Cost Basis and optionally Account.'
+        );
+    }
+
+    const baseId = Date.now().toString(36);
+
+    return data.map((row, index) => {
+        const entry = {
+            id: `${baseId}-${index}`,
+            symbol: (row[columns.symbol] || '').trim().toUpperCase(),
+            quantity: parseNumber(row[columns.quantity]),
+            date: toISODate((row[columns.date] || '').trim()),
+            costBasis: parseNumber(row[columns.costBasis]),
+            account: (columns.account && row[columns.account] || '').trim() || defaultAccount
+        };
+
+        const problem = validateOpeningLot(entry);
+        if (problem) {
+            throw new Error(`Opening positions CSV row ${index + 2}: ${problem}`);
+        }
+        return entry;
+    });
+}
+
+/**
+ * Check an opening lot entry
+ * @returns {string|null} - Problem description, or null when valid
+ */
+export function validateOpeningLot(entry) {
+    if (!entry.symbol) return 'symbol is required';
+    if (!(entry.quantity > 0)) return 'quantity must be greater than zero';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.date)) return 'acquisition date is missing or unreadable';
+    if (!(entry.costBasis >= 0)) return 'cost basis must be zero or more';
+    return null;
+}
+
+/**
+ * Convert an opening lot into a BUY transaction on its acquisition date
+ */
+export function openingLotToTransaction(entry) {
+    const [year, month, day] = entry.date.split('-').map(Number);
+    const quantity = parseFloat(entry.quantity);
+    const costBasis = parseFloat(entry.costBasis) || 0;
+
+    return {
+        date: new Date(year, month - 1, day),
+        action: 'OPENING POSITION',
+        transactionType: 'BUY',
+        symbol: entry.symbol.trim().toUpperCase(),
+        description: 'Manually entered opening position',
+        quantity,
+        price: costBasis / quantity,
+        commission: 0,
+        fees: 0,
+        amount: -costBasis,
+        isOption: false,
+        optionDetails: null,
+        // Blank account: the lot can fill sells in any account
+        account: entry.account || '',
+        accountType: '',
+        openingLot: true,
+        rawData: { openingLotId: entry.id }
+    };
+}
+
+/**
+ * Load opening lots from browser storage
+ */
+export function loadOpeningPositions() {
+    return loadJSON(STORAGE_KEY, []);
+}
+
+/**
+ * Persist opening lots
+ */
+export function saveOpeningPositions(entries) {
+    saveJSON(STORAGE_KEY, entries);
+}
@@ -0,0 +1,142 @@
+import { parseOptionSymbol } from './optionSymbol';
+import { tradeOutcome } from './optionStructures';
+import { toISODay } from './dates';
+
+/**
+ * Option position chains
+ *
+ * A roll closes an option and opens another contract of the same type on the same underlying,
+ * on the same day and in the same account: buy to close + sell to open for short options, sell
+ * to close + buy to open for long ones. Rolls link positions into one chain from the first open
+ * to the final close, so the debit paid to roll is judged together with the premium it brings in.
+ * Legs of multi-leg structures are reported per structure instead.
+ */
+const ROLL_CLOSE_FOR_OPEN = {
+    OPTION_SELL_OPEN: 'OPTION_BUY_CLOSE',
+    OPTION_BUY_OPEN: 'OPTION_SELL_CLOSE'
+};
+
+/**
+ * Pair same-day closes and opens into rolls
+ * @param {Array} transactions - Option transactions
+ * @param {Map} structureOf - Opening legs of multi-leg structures, left out
+ * @returns {Map} - Opening transaction -> the closing transaction it was rolled from
+ */
+export function detectRolls(transactions, structureOf = new Map()) {
+    const closes = new Map(); // account|underlying|type|day|closing type -> unpaired closes
+    const opens = [];
+
+    for (const txn of transactions) {
+        const isOpen = Boolean(ROLL_CLOSE_FOR_OPEN[txn.transactionType]);
+        const isClose = Object.values(ROLL_CLOSE_FOR_OPEN).includes(txn.transactionType);
+        if ((!isOpen && !isClose) || structureOf.has(txn)) continue;
+
+        const details = txn.optionDetails || parseOptionSymbol(txn.symbol);
+        if (!details) continue;
+
+        const closingType = isOpen ? ROLL_CLOSE_FOR_OPEN[txn.transactionType] : txn.transactionType;
+        const key = [txn.account || '', details.ticker, details.type, toISODay(txn.date), closingType].join('|');
+
+        if (isOpen) {
+            opens.push({ txn, key });
+        } else {
+            if (!closes.has(key)) closes.set(key, []);
+            closes.get(key).push(txn);
+        }
+    }
+
+    const rolls = new Map();
+    for (const { txn, key } of opens) {
+        const candidates = closes.get(key) || [];
+        // Closing and reopening the same contract is not a roll
+        const index = candidates.findIndex(close => close.symbol !== txn.symbol);
+        if (index === -1) continue;
+
+        rolls.set(txn, candidates[index]);
+        candidates.splice(index, 1);
+    }
+
+    return rolls;
+}
+
+/**
+ * Merge the chains a roll connects and summarize every chain
+ * @param {Array} trades - Option trades tagged with chainId (updated to the chain's first id)
+ * @param {Map} rolls - Opening transaction -> closing transaction, from detectRolls
+ * @param {Map} tradeOf - Option transaction -> the trade it produced
+ * @param {Object} openPositions - Option positions still open (chainId updated as well)
+ * @returns {Array} - Chains: { id, account, underlyingSymbol, strategy, startDate, endDate, contracts, rolls, netPremium, netPL, closed, trades }
+ */
+export function linkRollChains(trades, rolls, tradeOf, openPositions) {
+    const parent = new Map();
+    const find = (id) => {
+        while (parent.has(id)) id = parent.get(id);
+        return id;
+    };
+
+    for (const [openTxn, closeTxn] of rolls) {
+        const openTrade = tradeOf.get(openTxn);
+        const closeTrade = tradeOf.get(closeTxn);
+        if (!openTrade || !closeTrade || closeTrade.chainId === undefined) continue;
+
+        const root = find(closeTrade.chainId);
+        const child = find(openTrade.chainId);
+        if (root !== child) parent.set(child, root);
+
+        closeTrade.isRoll = true;
+        openTrade.rolledFrom = closeTrade.symbol;
+    }
+
+    trades.forEach(trade => {
+        if (trade.chainId !== undefined) trade.chainId = find(trade.chainId);
+    });
+    Object.values(openPositions).flat().forEach(position => {
+        if (position.chainId !== undefined) position.chainId = find(position.chainId);
+    });
+
+    const stillOpen = new Set(Object.values(openPositions).flat().map(position => position.chainId));
+    const chains = new Map();
+
+    for (const trade of trades) {
+        if (trade.chainId === undefined || trade.structureId) continue;
+
+        if (!chains.has(trade.chainId)) {
+            chains.set(trade.chainId, {
+                id: trade.chainId,
+                account: trade.account,
+                underlyingSymbol: trade.underlyingSymbol,
+                strategy: trade.strategy,
+                startDate: trade.date,
+                endDate: null,
+                contracts: [],
+                rolls: 0,
+                netPremium: 0, // Credit positive, debit negative
+                netPL: 0,
+                trades: []
+            });
+        }
+
+        const chain = chains.get(trade.chainId);
+        chain.trades.push(trade);
+        if (!chain.contracts.includes(trade.symbol)) chain.contracts.push(trade.symbol);
+        if (trade.isRoll) chain.rolls++;
+        chain.netPremium += premiumFlow(trade);
+        chain.netPL += tradeOutcome(trade);
+        chain.endDate = trade.date;
+    }
+
+    return [...chains.values()].map(chain => ({
+        ...chain,
+        closed: !stillOpen.has(chain.id),
+        endDate: stillOpen.has(chain.id) ? null : chain.endDate
+    }));
+}
+
+/**
+ * Premium received (positive) or paid (negative) by a trade
+ */
+function premiumFlow(trade) {
+    if (trade.type === 'SELL_OPEN' || trade.type === 'SELL_CLOSE') return trade.premium || 0;
+    if (trade.type === 'BUY_OPEN' || trade.type === 'BUY_CLOSE') return -(trade.premium || 0);
+    return 0;
+}
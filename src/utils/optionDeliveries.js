@@ -0,0 +1,81 @@
+import { parseOptionSymbol } from './optionSymbol';
+import { DAY_MS } from './dates';
+
+/**
+ * Option deliveries
+ *
+ * An assignment or exercise comes with a stock trade moving the shares (same account and underlying):
+ * - assigned call / exercised put: shares delivered, a SELL
+ * - assigned put / exercised call: shares received, a BUY
+ */
+
+// Brokers may book the share leg of an assignment or exercise a few days from the option leg
+export const DELIVERY_LINK_DAYS = 5;
+
+/**
+ * Link each option assignment or exercise transaction to the stock transaction that delivered or
+ * received the shares
+ * @returns {Map} - Option transaction -> stock transaction
+ */
+export function linkOptionDeliveries(optionTransactions, stockTransactions) {
+    const links = new Map();
+    const linked = new Set();
+
+    for (const txn of optionTransactions) {
+        const isAssignment = txn.transactionType === 'OPTION_ASSIGNED';
+        if (!isAssignment && txn.transactionType !== 'OPTION_EXERCISED') continue;
+
+        const details = txn.optionDetails || parseOptionSymbol(txn.symbol);
+        if (!details) continue;
+
+        const side = deliverySide(details.type, isAssignment);
+        const shares = txn.quantity * (details.multiplier || 100);
+
+        // An "assigned" / "exercised" action breaks the remaining ties
+        const deliveryWord = isAssignment ? 'ASSIGNED' : 'EXERCISED';
+        const best = closestDelivery(
+            stockTransactions.filter(stock =>
+                !linked.has(stock) &&
+                stock.transactionType === side &&
+                stock.symbol === details.ticker &&
+                (stock.account || '') === (txn.account || '')),
+            txn.date,
+            shares,
+            stock => (stock.action?.includes(deliveryWord) ? 0 : 1)
+        );
+        if (!best) continue;
+
+        links.set(txn, best);
+        linked.add(best);
+    }
+
+    return links;
+}
+
+/**
+ * Side of the stock trade moving the shares: 'SELL' when they're delivered, 'BUY' when received
+ * @param {string} optionType - 'CALL' or 'PUT'
+ * @param {boolean} isAssignment - Assigned (short option) rather than exercised (long option)
+ */
+export function deliverySide(optionType, isAssignment) {
+    return (optionType === 'CALL') === isAssignment ? 'SELL' : 'BUY';
+}
+
+/**
+ * The share leg of an option event among candidate stock trades or transactions: the closest date
+ * within DELIVERY_LINK_DAYS wins; a matching share count, then `tieBreak` (lower first), break ties
+ * @returns {Object|null}
+ */
+export function closestDelivery(candidates, date, shares, tieBreak = () => 0) {
+    const daysApart = (stock) => Math.abs(new Date(stock.date) - new Date(date)) / DAY_MS;
+    const rank = (stock) => [daysApart(stock), stock.quantity === shares ? 0 : 1, tieBreak(stock)];
+
+    const inWindow = candidates.filter(stock => daysApart(stock) <= DELIVERY_LINK_DAYS);
+    if (inWindow.length === 0) return null;
+
+    return inWindow.reduce((a, b) => {
+        const [ra, rb] = [rank(a), rank(b)];
+        const diff = ra.findIndex((value, i) => value !== rb[i]);
+        return diff >= 0 && rb[diff] < ra[diff] ? b : a;
+    });
+}
@@ -0,0 +1,237 @@
+import { parseOptionSymbol } from './optionSymbol';
+import { toISODay } from './dates';
+
+/**
+ * Multi-leg option structures
+ *
+ * Option legs opened on the same day, in the same account and on the same underlying are
+ * grouped, and a group that forms one of the structures below as a whole is reported as
+ * that structure. Anything else stays single legs (covered calls, cash-secured puts,
+ * long calls and long puts).
+ */
+
+/**
+ * Recognized structures, keyed like the single-leg strategies in strategySummary
+ */
+export const STRUCTURE_STRATEGIES = ['verticalSpreads', 'ironCondors', 'strangles', 'calendarSpreads', 'collars'];
+
+const OPENING_TYPES = ['OPTION_SELL_OPEN', 'OPTION_BUY_OPEN'];
+
+/**
+ * Group opening legs into structures
+ * @param {Array} transactions - Option transactions
+ * @returns {Map} - Opening transaction -> { id, strategy, name, account, underlyingSymbol, date, legs, netPremium, maxRisk }
+ */
+export function recognizeStructures(transactions) {
+    const groups = new Map();
+
+    for (const txn of transactions) {
+        if (!OPENING_TYPES.includes(txn.transactionType)) continue;
+
+        const details = txn.optionDetails || parseOptionSymbol(txn.symbol);
+        if (!details) continue;
+
+        const key = [txn.account || '', details.ticker, toISODay(txn.date)].join('|');
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({ txn, details });
+    }
+
+    const structureOf = new Map();
+    for (const [id, entries] of groups) {
+        const legs = mergeLegs(entries);
+        if (legs.length < 2) continue;
+
+        const match = classify(legs);
+        if (!match) continue;
+
+        const structure = {
+            id,
+            ...match,
+            account: entries[0].txn.account,
+            underlyingSymbol: entries[0].details.ticker,
+            date: entries[0].txn.date,
+            legs,
+            netPremium: legs.reduce((sum, leg) => sum + leg.premium, 0) // Credit positive, debit negative
+        };
+        structure.maxRisk = maxRisk(structure);
+
+        entries.forEach(({ txn }) => structureOf.set(txn, structure));
+    }
+
+    return structureOf;
+}
+
+/**
+ * P&L, max risk and win rate of the structures in a strategy bucket
+ * @param {Object} results - Strategy bucket with the structures opened
+ * @param {Array} trades - All option trades, closes tagged with structureId
+ * @param {Object} openPositions - Option positions still open
+ */
+export function summarizeStructures(results, trades, openPositions) {
+    const stillOpen = new Set(
+        Object.values(openPositions).flat().map(position => position.structureId).filter(Boolean)
+    );
+
+    const structures = results.structures.map(structure => {
+        const netPL = trades
+            .filter(trade => trade.structureId === structure.id)
+            .reduce((sum, trade) => sum + tradeOutcome(trade), 0);
+
+        return { ...structure, netPL, closed: !stillOpen.has(structure.id) };
+    });
+
+    const closed = structures.filter(structure => structure.closed);
+    const wins = closed.filter(structure => structure.netPL > 0).length;
+    const definedRisk = structures.filter(structure => structure.maxRisk !== null);
+
+    return {
+        ...results,
+        structures,
+        tradesCount: structures.length,
+        netPL: structures.reduce((sum, structure) => sum + structure.netPL, 0),
+        maxRisk: definedRisk.reduce((sum, structure) => sum + structure.maxRisk, 0),
+        undefinedRiskCount: structures.length - definedRisk.length,
+        closedCount: closed.length,
+        wins,
+        winRate: closed.length > 0 ? (wins / closed.length) * 100 : 0
+    };
+}
+
+/**
+ * Realized result of a closing trade, counting premium moved into a stock trade on
+ * assignment (kept) or exercise (paid)
+ */
+export function tradeOutcome(trade) {
+    if (trade.type === 'ASSIGNED') return trade.realizedPL + (trade.premiumTransferred || 0);
+    if (trade.type === 'EXERCISED') return trade.realizedPL - (trade.premiumTransferred || 0);
+    return trade.realizedPL || 0;
+}
+
+/**
+ * One leg per contract and side; partial fills of the same leg are combined
+ */
+function mergeLegs(entries) {
+    const legs = new Map();
+
+    for (const { txn, details } of entries) {
+        const side = txn.transactionType === 'OPTION_SELL_OPEN' ? 'SHORT' : 'LONG';
+        const key = [side, details.type, details.strike, details.expiry.getTime()].join('|');
+
+        if (!legs.has(key)) {
+            legs.set(key, {
+                symbol: txn.symbol,
+                side,
+                optionType: details.type,
+                strike: details.strike,
+                expiry: details.expiry,
+                multiplier: details.multiplier || 100,
+                quantity: 0,
+                premium: 0
+            });
+        }
+
+        const leg = legs.get(key);
+        leg.quantity += txn.quantity;
+        leg.premium += side === 'SHORT' ? Math.abs(txn.amount) : -Math.abs(txn.amount);
+    }
+
+    return [...legs.values()];
+}
+
+/**
+ * Match a group of legs to a structure
+ * @returns {Object|null} - { strategy, name } or null when the legs form none
+ */
+function classify(legs) {
+    // Every leg must trade the same number of contracts
+    if (legs.some(leg => leg.quantity !== legs[0].quantity)) return null;
+
+    const calls = legs.filter(leg => leg.optionType === 'CALL');
+    const puts = legs.filter(leg => leg.optionType === 'PUT');
+    const sameExpiry = legs.every(leg => leg.expiry.getTime() === legs[0].expiry.getTime());
+
+    if (legs.length === 2) {
+        const [a, b] = legs;
+
+        if (a.optionType === b.optionType && a.side !== b.side) {
+            const long = a.side === 'LONG' ? a : b;
+            const short = a.side === 'SHORT' ? a : b;
+            const type = a.optionType === 'CALL' ? 'Call' : 'Put';
+
+            if (sameExpiry && a.strike !== b.strike) {
+                const direction = long.strike < short.strike ? 'Bull' : 'Bear';
+                return { strategy: 'verticalSpreads', name: `${direction} ${type} Spread` };
+            }
+            if (!sameExpiry) {
+                return {
+                    strategy: 'calendarSpreads',
+                    name: a.strike === b.strike ? `${type} Calendar Spread` : `${type} Diagonal Spread`
+                };
+            }
+        }
+
+        if (calls.length === 1 && puts.length === 1 && sameExpiry) {
+            const [call, put] = [calls[0], puts[0]];
+
+            if (call.side === put.side) {
+                const side = call.side === 'LONG' ? 'Long' : 'Short';
+                return { strategy: 'strangles', name: `${side} ${call.strike === put.strike ? 'Straddle' : 'Strangle'}` };
+            }
+            if (call.side === 'SHORT' && put.strike <= call.strike) {
+                return { strategy: 'collars', name: 'Collar' };
+            }
+        }
+    }
+
+    if (legs.length === 4 && calls.length === 2 && puts.length === 2 && sameExpiry) {
+        const shortCall = calls.find(leg => leg.side === 'SHORT');
+        const longCall = calls.find(leg => leg.side === 'LONG');
+        const shortPut = puts.find(leg => leg.side === 'SHORT');
+        const longPut = puts.find(leg => leg.side === 'LONG');
+
+        if (shortCall && longCall && shortPut && longPut &&
+            longPut.strike < shortPut.strike && shortPut.strike <= shortCall.strike && shortCall.strike < longCall.strike) {
+            return {
+                strategy: 'ironCondors',
+                name: shortPut.strike === shortCall.strike ? 'Iron Butterfly' : 'Iron Condor'
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Most the structure can lose at expiration, or null when it is unlimited or
+ * depends on shares held (short strangles, collars, reverse calendars)
+ */
+function maxRisk({ strategy, legs, netPremium }) {
+    const contracts = legs[0].quantity * legs[0].multiplier;
+    const width = (a, b) => Math.abs(a.strike - b.strike) * contracts;
+
+    if (strategy === 'verticalSpreads') {
+        return netPremium > 0 ? width(legs[0], legs[1]) - netPremium : -netPremium;
+    }
+
+    if (strategy === 'ironCondors') {
+        const calls = legs.filter(leg => leg.optionType === 'CALL');
+        const puts = legs.filter(leg => leg.optionType === 'PUT');
+        return Math.max(width(calls[0], calls[1]), width(puts[0], puts[1])) - netPremium;
+    }
+
+    if (strategy === 'strangles') {
+        return legs[0].side === 'LONG' ? -netPremium : null;
+    }
+
+    if (strategy === 'calendarSpreads') {
+        const long = legs.find(leg => leg.side === 'LONG');
+        const short = legs.find(leg => leg.side === 'SHORT');
+        if (long.expiry < short.expiry) return null;
+
+        // A diagonal whose short strike is deeper in the money also risks the strike gap
+        const gap = long.optionType === 'CALL' ? long.strike - short.strike : short.strike - long.strike;
+        return -netPremium + Math.max(gap, 0) * contracts;
+    }
+
+    return null;
+}
@@ -0,0 +1,100 @@
+/**
+ * Option symbol parsing shared by every importer and the gains engine
+ *
+ * Supported formats:
+ * - Fidelity / compact:   BMNR260109C31.5, -BRK.B250117C450, AAPL1250117C150
+ * - OCC (OSI), padded:    "AAPL  250117C00150000" (6-char root, YYMMDD, C/P, strike x 1000)
+ * - OCC, unpadded:        AAPL250117C00150000
+ * - Schwab:               AAPL 01/17/2025 150.00 C
+ *
+ * A root ending in a digit is a non-standard option: "7" marks a mini option
+ * (10-share deliverable), any other digit an adjusted deliverable after a corporate action.
+ */
+
+// Root: letters/digits with an optional share-class suffix (BRK.B, BRK/B)
+const ROOT = '([A-Z0-9]+(?:[./][A-Z])?)';
+
+const OCC_PADDED = new RegExp(`^${ROOT}\\s+(\\d{6})([CP])(\\d{8})$`);
+const COMPACT = new RegExp(`^${ROOT}(\\d{6})([CP])(\\d+(?:\\.\\d+)?)$`);
+const SCHWAB = new RegExp(`^${ROOT}\\s+(\\d{2})/(\\d{2})/(\\d{4})\\s+(\\d+(?:\\.\\d+)?)\\s+([CP])$`);
+
+/**
+ * Parse an option symbol into its terms
+ * @param {string} symbol - Option symbol in any supported format
+ * @returns {Object|null} - { ticker, root, expiry, type, strike, multiplier, isAdjusted, isMini } or null
+ */
+export function parseOptionSymbol(symbol) {
+    if (!symbol) return null;
+
+    // Fidelity prefixes options with a dash; share classes may use "/" instead of "."
+    const cleanSymbol = String(symbol).trim().replace(/^-/, '').toUpperCase();
+
+    const padded = cleanSymbol.match(OCC_PADDED);
+    if (padded) {
+        const [, root, dateStr, type, strike] = padded;
+        return buildDetails(root, yymmddToDate(dateStr), type, parseInt(strike, 10) / 1000);
+    }
+
+    const compact = cleanSymbol.match(COMPACT);
+    if (compact) {
+        const [, root, dateStr, type, strike] = compact;
+        // An 8-digit integer strike is the OCC encoding (strike x 1000)
+        const strikeValue = /^\d{8}$/.test(strike) ? parseInt(strike, 10) / 1000 : parseFloat(strike);
+        return buildDetails(root, yymmddToDate(dateStr), type, strikeValue);
+    }
+
+    const schwab = cleanSymbol.match(SCHWAB);
+    if (schwab) {
+        const [, root, month, day, year, strike, type] = schwab;
+        const expiry = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
+        return buildDetails(root, expiry, type, parseFloat(strike));
+    }
+
+    return null;
+}
+
+/**
+ * Build a Fidelity-style option symbol (ROOT + YYMMDD + C/P + STRIKE) from optionDetails,
+ * so positions imported from every broker are keyed the same way
+ */
+export function formatOptionSymbol({ ticker, root, expiry, type, strike }) {
+    const yy = String(expiry.getFullYear() % 100).padStart(2, '0');
+    const mm = String(expiry.getMonth() + 1).padStart(2, '0');
+    const dd = String(expiry.getDate()).padStart(2, '0');
+    return `${root || ticker}${yy}${mm}${dd}${type === 'CALL' ? 'C' : 'P'}${strike}`;
+}
+
+/**
+ * Underlying ticker of an option symbol; plain stock symbols are returned as-is
+ * e.g. BMNR260109C31.5 -> BMNR, "BRK/B 250117C00450000" -> BRK.B, AAPL1250117C150 -> AAPL
+ */
+export function getUnderlyingSymbol(symbol) {
+    if (!symbol) return '';
+    const details = parseOptionSymbol(symbol);
+    return details ? details.ticker : String(symbol).trim().replace(/^-/, '');
+}
+
+function buildDetails(rawRoot, expiry, type, strike) {
+    const root = rawRoot.replace('/', '.');
+    const suffix = root.match(/^([A-Z.]+?)(\d)$/);
+    const isMini = suffix?.[2] === '7';
+    const isAdjusted = Boolean(suffix) && !isMini;
+
+    return {
+        ticker: suffix ? suffix[1] : root,
+        root,
+        expiry,
+        type: type === 'C' ? 'CALL' : 'PUT',
+        strike,
+        multiplier: isMini ? 10 : 100,
+        isAdjusted,
+        isMini
+    };
+}
+
+function yymmddToDate(dateStr) {
+    const year = 2000 + parseInt(dateStr.substring(0, 2));
+    const month = parseInt(dateStr.substring(2, 4)) - 1;
+    const day = parseInt(dateStr.substring(4, 6));
+    return new Date(year, month, day);
+}
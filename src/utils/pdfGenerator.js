@@ -1,6 +1,7 @@
 import jsPDF from 'jspdf';
 import 'jspdf-autotable';
 import { format } from 'date-fns';
+import { summarizeForm6781 } from './section1256';
 
 export const generateTaxReport = (trades) => {
     const doc = new jsPDF();
@@ -16,9 +17,9 @@ export const generateTaxReport = (trades) => {
 
     // Calculate Summary Data
     const summary = {
-        shortTerm: { proceeds: 0, cost: 0, gain: 0, count: 0 },
-        longTerm: { proceeds: 0, cost: 0, gain: 0, count: 0 },
-        washSales: { count: 0 }
+        shortTerm: { proceeds: 0, cost: 0, adjustment: 0, gain: 0, count: 0 },
+        longTerm: { proceeds: 0, cost: 0, adjustment: 0, gain: 0, count: 0 },
+        washSales: { count: 0, disallowed: 0 }
     };
 
     const washSaleTrades = [];
@@ -28,11 +29,12 @@ export const generateTaxReport = (trades) => {
     const longTermTrades = [];
 
     trades.forEach(trade => {
-        if (trade.type === 'SELL') {
+        if (trade.type === 'SELL' || trade.type === 'COVER') {
             const term = trade.term === 'LONG' ? 'longTerm' : 'shortTerm';
 
             summary[term].proceeds += (trade.totalProceeds || 0);
             summary[term].cost += (trade.totalCost || 0);
+            summary[term].adjustment += (trade.washSaleDisallowed || 0);
             summary[term].gain += (trade.realizedPL || 0);
             summary[term].count++;
 
@@ -41,6 +43,7 @@ export const generateTaxReport = (trades) => {
 
             if (trade.isWashSale) {
                 summary.washSales.count++;
+                summary.washSales.disallowed += trade.washSaleDisallowed;
                 washSaleTrades.push(trade);
             }
         }
@@ -54,13 +57,14 @@ export const generateTaxReport = (trades) => {
 
     doc.autoTable({
         startY: 50,
-        head: [['Term', 'Count', 'Proceeds', 'Cost Basis', 'Realized Gain/Loss']],
+        head: [['Term', 'Count', 'Proceeds', 'Cost Basis', 'Wash Sale Adj.', 'Realized Gain/Loss']],
         body: [
             [
                 'Short-Term (< 1 Year)',
                 summary.shortTerm.count,
                 formatCurrency(summary.shortTerm.proceeds),
                 formatCurrency(summary.shortTerm.cost),
+                formatCurrency(summary.shortTerm.adjustment),
                 formatCurrency(summary.shortTerm.gain)
             ],
             [
@@ -68,6 +72,7 @@ export const generateTaxReport = (trades) => {
                 summary.longTerm.count,
                 formatCurrency(summary.longTerm.proceeds),
                 formatCurrency(summary.longTerm.cost),
+                formatCurrency(summary.longTerm.adjustment),
                 formatCurrency(summary.longTerm.gain)
             ],
             [
@@ -75,6 +80,7 @@ export const generateTaxReport = (trades) => {
                 summary.shortTerm.count + summary.longTerm.count,
                 formatCurrency(summary.shortTerm.proceeds + summary.longTerm.proceeds),
                 formatCurrency(summary.shortTerm.cost + summary.longTerm.cost),
+                formatCurrency(summary.washSales.disallowed),
                 {
                     content: formatCurrency(summary.shortTerm.gain + summary.longTerm.gain),
                     styles: {
@@ -90,21 +96,23 @@ export const generateTaxReport = (trades) => {
 
     let currentY = doc.lastAutoTable.finalY + 15;
 
-    // Wash Sales Warning
+    // Wash Sales
     if (summary.washSales.count > 0) {
         doc.setFontSize(14);
         doc.setTextColor(200, 0, 0);
-        doc.text(`Potential Wash Sales Detected (${summary.washSales.count})`, 14, currentY);
+        doc.text(`Wash Sales (${summary.washSales.count})`, 14, currentY);
         doc.setFontSize(10);
         doc.setTextColor(80, 80, 80);
-        doc.text('The following trades look like wash sales (loss + repurchase within 30 days).', 14, currentY + 6);
+        doc.text(`${formatCurrency(summary.washSales.disallowed)} of loss disallowed and added to the basis of replacement shares (8949 code W).`, 14, currentY + 6);
 
         doc.autoTable({
             startY: currentY + 10,
-            head: [['Date', 'Symbol', 'Loss Amount', 'Detected Trigger']],
+            head: [['Date', 'Symbol', 'Loss on Sale', 'Disallowed', 'Reported Gain/Loss', 'Replacement']],
             body: washSaleTrades.map(t => [
                 format(new Date(t.date), 'MM/dd/yyyy'),
                 t.symbol,
+                formatCurrency(t.realizedPL - t.washSaleDisallowed),
+                formatCurrency(t.washSaleDisallowed),
                 formatCurrency(t.realizedPL),
                 t.washSaleMsg || '-'
             ]),
@@ -117,6 +125,29 @@ export const generateTaxReport = (trades) => {
 
     doc.setTextColor(0, 0, 0); // Reset color
 
+    // Form 6781: Section 1256 contracts netted per year, 40% short-term and 60% long-term
+    const form6781 = summarizeForm6781(trades);
+    if (form6781.length > 0) {
+        doc.setFontSize(14);
+        doc.text('Form 6781: Section 1256 Contracts', 14, currentY);
+
+        doc.autoTable({
+            startY: currentY + 5,
+            head: [['Year', 'Contracts', 'Line 7 Net', 'Line 8 Short-Term (40%)', 'Line 9 Long-Term (60%)']],
+            body: form6781.map(year => [
+                year.year,
+                year.trades.length,
+                formatCurrency(year.net),
+                formatCurrency(year.shortTerm),
+                formatCurrency(year.longTerm)
+            ]),
+            theme: 'striped',
+            headStyles: { fillColor: [245, 158, 11] }
+        });
+
+        currentY = doc.lastAutoTable.finalY + 15;
+    }
+
     // Detailed Ledger - Short Term
     if (shortTermTrades.length > 0) {
         doc.addPage();
@@ -125,7 +156,7 @@ export const generateTaxReport = (trades) => {
 
         doc.autoTable({
             startY: 25,
-            head: [['Date', 'Symbol', 'Qty', 'Price', 'Proceeds', 'Cost', 'Gain/Loss']],
+            head: [['Date', 'Symbol', 'Qty', 'Price', 'Proceeds', 'Cost', 'Wash Sale Adj.', 'Gain/Loss']],
             body: shortTermTrades
                 .sort((a, b) => new Date(a.date) - new Date(b.date))
                 .map(t => [
@@ -135,6 +166,7 @@ export const generateTaxReport = (trades) => {
                     formatCurrency(t.price),
                     formatCurrency(t.totalProceeds),
                     formatCurrency(t.totalCost),
+                    t.washSaleDisallowed ? formatCurrency(t.washSaleDisallowed) : '',
                     formatCurrency(t.realizedPL)
                 ]),
             theme: 'plain',
@@ -151,7 +183,7 @@ export const generateTaxReport = (trades) => {
 
         doc.autoTable({
             startY: 25,
-            head: [['Date', 'Symbol', 'Qty', 'Price', 'Proceeds', 'Cost', 'Gain/Loss']],
+            head: [['Date', 'Symbol', 'Qty', 'Price', 'Proceeds', 'Cost', 'Wash Sale Adj.', 'Gain/Loss']],
             body: longTermTrades
                 .sort((a, b) => new Date(a.date) - new Date(b.date))
                 .map(t => [
@@ -161,6 +193,7 @@ export const generateTaxReport = (trades) => {
                     formatCurrency(t.price),
                     formatCurrency(t.totalProceeds),
                     formatCurrency(t.totalCost),
+                    t.washSaleDisallowed ? formatCurrency(t.washSaleDisallowed) : '',
                     formatCurrency(t.realizedPL)
                 ]),
             theme: 'plain',
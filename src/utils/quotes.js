@@ -0,0 +1,84 @@
+import Papa from 'papaparse';
+import { loadJSON, saveJSON } from './storage';
+import { parseNumber, resolveColumns } from './csvParser';
+import { toISODate } from './dates';
+import { parseOptionSymbol, formatOptionSymbol } from './optionSymbol';
+
+/**
+ * Local price quotes for valuing open positions, without any network access
+ *
+ * Quotes are imported from a CSV or typed in and saved as { [SYMBOL]: { price, date: 'YYYY-MM-DD' } }.
+ * Option contracts are keyed by their Fidelity-style symbol (TOST250221C36), whatever format
+ * the quote file uses.
+ */
+const STORAGE_KEY = 'quotes';
+
+// Accepted CSV headers, compared lowercase with punctuation removed
+const COLUMN_ALIASES = {
+    symbol: ['symbol', 'ticker'],
+    price: ['price', 'last', 'lastprice', 'close', 'mark', 'currentprice'],
+    date: ['date', 'asof', 'quotedate', 'pricedate']
+};
+
+/**
+ * Key a quote is stored under: the ticker, or the normalized option symbol
+ */
+export function quoteSymbol(symbol) {
+    const details = parseOptionSymbol(symbol);
+    if (details) return formatOptionSymbol(details);
+    return String(symbol || '').trim().replace(/^-/, '').toUpperCase();
+}
+
+/**
+ * Parse quotes from CSV text
+ * Columns: Symbol, Price, Date (optional, MM/DD/YYYY or YYYY-MM-DD)
+ * @param {string} text - CSV contents
+ * @returns {Object} - { [symbol]: { price, date } }
+ * @throws {Error} if required columns are missing or a row can't be read
+ */
+export function parseQuotesCSV(text) {
+    const { data, meta } = Papa.parse(text, { header: true, skipEmptyLines: true });
+    const columns = resolveColumns(meta.fields || [], COLUMN_ALIASES);
+
+    const missing = ['symbol', 'price'].filter(field => !columns[field]);
+    if (missing.length > 0) {
+        throw new Error(`Quotes CSV is missing columns: ${missing.join(', ')}. Expected Symbol, Price and optionally Date.`);
+    }
+
+    const quotes = {};
+    data.forEach((row, index) => {
+        const symbol = quoteSymbol(row[columns.symbol]);
+        const rawPrice = (row[columns.price] || '').trim();
+        if (!symbol) return;
+        if (!/\d/.test(rawPrice) || parseNumber(rawPrice) < 0) {
+            throw new Error(`Quotes CSV row ${index + 2}: price for ${symbol} is missing or unreadable`);
+        }
+
+        quotes[symbol] = {
+            price: parseNumber(rawPrice),
+            date: (columns.date && toISODate((row[columns.date] || '').trim())) || today()
+        };
+    });
+    return quotes;
+}
+
+/**
+ * Load saved quotes from browser storage
+ */
+export function loadQuotes() {
+    return loadJSON(STORAGE_KEY, {});
+}
+
+/**
+ * Persist quotes
+ */
+export function saveQuotes(quotes) {
+    saveJSON(STORAGE_KEY, quotes);
+}
+
+/**
+ * Today's date as YYYY-MM-DD, the date of a typed-in price
+ */
+export function today() {
+    return toISODate(new Date());
+}
@@ -0,0 +1,117 @@
+import { loadJSON, saveJSON } from './storage';
+
+/**
+ * Section 1256 contracts
+ *
+ * Options on broad-based indexes (and on index futures) get 60/40 treatment: whatever the holding
+ * period, 60% of the gain or loss is long-term and 40% short-term. Contracts still open at year end
+ * are treated as sold at their fair market value on the last business day (marked to market) and
+ * carry on at that value. They're reported on Form 6781 instead of Form 8949.
+ */
+const STORAGE_KEY = 'section1256Underlyings';
+const MARKS_STORAGE_KEY = 'yearEndMarks';
+
+// Term given to Section 1256 results in place of SHORT / LONG
+export const SECTION_1256_TERM = 'SECTION_1256';
+
+// Share of a Section 1256 gain or loss that is long-term
+export const LONG_TERM_SHARE = 0.6;
+
+// Cash-settled broad-based index options; futures options are added under the root their export uses
+export const DEFAULT_SECTION_1256_UNDERLYINGS = [
+    'SPX', 'SPXW', 'XSP', 'NDX', 'NDXP', 'XND', 'RUT', 'RUTW', 'MRUT', 'VIX', 'VIXW', 'DJX', 'OEX', 'XEO'
+];
+
+/**
+ * Whether an option is a Section 1256 contract
+ * @param {Object} details - Option terms from parseOptionSymbol
+ * @param {Array} underlyings - Section 1256 underlyings
+ */
+export function isSection1256(details, underlyings = DEFAULT_SECTION_1256_UNDERLYINGS) {
+    if (!details) return false;
+    const roots = [details.ticker, details.root].filter(Boolean).map(normalizeUnderlying);
+    return underlyings.some(underlying => roots.includes(normalizeUnderlying(underlying)));
+}
+
+/**
+ * Underlying as compared against the list: uppercase, without the $ or / brokers put on indexes and futures
+ */
+export function normalizeUnderlying(symbol) {
+    return String(symbol || '').trim().toUpperCase().replace(/^[$./]+/, '');
+}
+
+/**
+ * Year-end marks as the gains engine applies them, each dated December 31 of its year. The price
+ * entered is the last trading day's settlement; keying it to the calendar year end places it after
+ * every trade of that year, holidays or not.
+ * Marks are entered per year and kept apart from the quotes used to value open positions.
+ * @param {Object} marks - { [year]: { [symbol]: price } }, symbols as keyed by quoteSymbol
+ * @returns {Array} - [{ symbol, price, date }] by date
+ */
+export function yearEndMarks(marks = {}) {
+    return Object.entries(marks)
+        .flatMap(([year, prices]) => Object.entries(prices || {}).map(([symbol, price]) => ({
+            symbol,
+            price,
+            date: new Date(Number(year), 11, 31)
+        })))
+        .filter(mark => typeof mark.price === 'number' && mark.price >= 0 && !isNaN(mark.date))
+        .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Form 6781 Part I per tax year: the contracts closed or marked to market, their net gain or loss
+ * and its 60/40 split (short-term to Schedule D line 4, long-term to line 11)
+ * @param {Array} trades - Option trades; Section 1256 results carry term SECTION_1256
+ * @returns {Array} - [{ year, trades, gains, losses, net, shortTerm, longTerm }] by year
+ */
+export function summarizeForm6781(trades) {
+    const years = new Map();
+
+    for (const trade of trades) {
+        if (trade.term !== SECTION_1256_TERM) continue;
+
+        const year = new Date(trade.date).getFullYear();
+        if (!years.has(year)) years.set(year, { year, trades: [], gains: 0, losses: 0 });
+
+        const entry = years.get(year);
+        entry.trades.push(trade);
+        if (trade.realizedPL > 0) entry.gains += trade.realizedPL;
+        else entry.losses += trade.realizedPL || 0;
+    }
+
+    return [...years.values()]
+        .sort((a, b) => a.year - b.year)
+        .map(entry => {
+            const net = entry.gains + entry.losses;
+            return { ...entry, net, longTerm: net * LONG_TERM_SHARE, shortTerm: net * (1 - LONG_TERM_SHARE) };
+        });
+}
+
+/**
+ * Load the configured underlyings (the defaults until edited)
+ */
+export function loadSection1256Underlyings() {
+    return loadJSON(STORAGE_KEY, DEFAULT_SECTION_1256_UNDERLYINGS);
+}
+
+/**
+ * Persist the configured underlyings
+ */
+export function saveSection1256Underlyings(underlyings) {
+    saveJSON(STORAGE_KEY, underlyings);
+}
+
+/**
+ * Load the year-end marks: { [year]: { [symbol]: price } }
+ */
+export function loadYearEndMarks() {
+    return loadJSON(MARKS_STORAGE_KEY, {});
+}
+
+/**
+ * Persist the year-end marks
+ */
+export function saveYearEndMarks(marks) {
+    saveJSON(MARKS_STORAGE_KEY, marks);
+}
@@ -0,0 +1,31 @@
+/**
+ * Small localStorage wrapper for user-entered data (manual corporate actions, etc.)
+ * Everything stays in the browser; failures (private mode, quota) are non-fatal.
+ */
+const PREFIX = 'fidelityTracker.';
+
+/**
+ * Load a JSON value
+ * @param {string} key - Storage key (without prefix)
+ * @param {*} fallback - Returned when nothing is stored or parsing fails
+ */
+export function loadJSON(key, fallback) {
+    try {
+        const raw = globalThis.localStorage?.getItem(PREFIX + key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (error) {
+        console.warn(`Could not load ${key} from storage`, error);
+        return fallback;
+    }
+}
+
+/**
+ * Save a JSON value
+ */
+export function saveJSON(key, value) {
+    try {
+        globalThis.localStorage?.setItem(PREFIX + key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not save ${key} to storage`, error);
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * Merge transactions from several brokerage exports into one timeline
+ *
+ * Overlapping exports repeat the same rows, so a row from `incoming` is dropped when
+ * `existing` already holds a row with the same date, action, symbol, quantity, amount
+ * and cash balance. Repeats are counted, so two genuinely identical rows inside one
+ * export are both kept as long as the other export doesn't also contain both.
+ *
+ * @param {Array} existing - Transactions already loaded
+ * @param {Array} incoming - Transactions from a newly uploaded file
+ * @returns {{transactions: Array, added: number, duplicates: number}}
+ */
+export function mergeTransactions(existing, incoming) {
+    const existingCounts = new Map();
+    for (const txn of existing) {
+        const key = transactionKey(txn);
+        existingCounts.set(key, (existingCounts.get(key) || 0) + 1);
+    }
+
+    const incomingCounts = new Map();
+    const added = [];
+    let duplicates = 0;
+
+    for (const txn of incoming) {
+        const key = transactionKey(txn);
+        const occurrence = (incomingCounts.get(key) || 0) + 1;
+        incomingCounts.set(key, occurrence);
+
+        if (occurrence <= (existingCounts.get(key) || 0)) {
+            duplicates++;
+            continue;
+        }
+        added.push(txn);
+    }
+
+    // Stable sort keeps each file's original order for same-day rows
+    const transactions = [...existing, ...added].sort((a, b) => a.date - b.date);
+
+    return { transactions, added: added.length, duplicates };
+}
+
+/**
+ * Identity of a transaction row for duplicate detection
+ */
+function transactionKey(txn) {
+    const day = txn.date instanceof Date && !isNaN(txn.date) ? txn.date.toDateString() : String(txn.date);
+    const rawBalance = txn.rawData?.['Cash Balance ($)'] ?? txn.rawData?.['Cash Balance'] ?? '';
+    const cashBalance = rawBalance === '' ? '' : (parseFloat(rawBalance) || 0).toFixed(2);
+
+    return [
+        day,
+        (txn.action || '').trim(),
+        txn.symbol || '',
+        (txn.quantity || 0).toFixed(6),
+        (txn.amount || 0).toFixed(2),
+        cashBalance
+    ].join('|');
+}
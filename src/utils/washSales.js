@@ -0,0 +1,74 @@
+import { parseOptionSymbol } from './optionSymbol';
+import { DAY_MS } from './dates';
+
+/**
+ * Wash sale rule (IRS Pub. 550)
+ *
+ * A loss on a sale is disallowed to the extent substantially identical securities are acquired
+ * within 30 days before or after it. The disallowed loss is added to the basis of the replacement
+ * shares, and their holding period includes the time the sold shares were held. Shares of the
+ * same stock and calls bought on it count as replacements; each replacement share absorbs at
+ * most one washed loss. Options closed at a loss are checked the same way against the underlying,
+ * each contract standing for its multiplier's worth of shares.
+ */
+export const WASH_SALE_WINDOW_DAYS = 30;
+
+/**
+ * Whether an acquisition falls inside a sale's wash sale window
+ */
+export function isInWashSaleWindow(saleDate, acquiredDate) {
+    return Math.abs(acquiredDate - saleDate) <= WASH_SALE_WINDOW_DAYS * DAY_MS;
+}
+
+/**
+ * Shares an option purchase stands in for when it replaces a stock: calls bought to open
+ * on the same underlying
+ * @returns {number} - Shares covered by the contracts, 0 if the transaction is no replacement
+ */
+export function replacementOptionShares(txn, symbol) {
+    if (txn.transactionType !== 'OPTION_BUY_OPEN') return 0;
+
+    const details = txn.optionDetails || parseOptionSymbol(txn.symbol);
+    if (!details || details.type !== 'CALL' || details.ticker !== symbol) return 0;
+
+    return txn.quantity * (details.multiplier || 100);
+}
+
+/**
+ * Match the losing lots of a sale to replacement acquisitions, earliest acquisition first.
+ * A lot's loss is disallowed in proportion to the replacement shares matched to it, so a
+ * partial replacement only defers part of the loss.
+ * @param {Array} soldLots - Lots of the sale ({ quantity, date, realizedPL })
+ * @param {Array} replacements - { date, shares } with the unused replacement shares; consumed in place
+ * @param {Date} saleDate - Date of the sale
+ * @returns {Array} - { soldLot, replacement, shares, disallowed, heldMs } allocations
+ */
+export function allocateWashSale(soldLots, replacements, saleDate) {
+    const allocations = [];
+    const ordered = [...replacements].sort((a, b) => a.date - b.date);
+
+    for (const soldLot of soldLots) {
+        if (!(soldLot.realizedPL < 0)) continue;
+
+        let unmatched = soldLot.quantity;
+        for (const replacement of ordered) {
+            if (unmatched <= 0) break;
+            if (replacement.shares <= 0) continue;
+
+            const shares = Math.min(unmatched, replacement.shares);
+            allocations.push({
+                soldLot,
+                replacement,
+                shares,
+                disallowed: -soldLot.realizedPL * (shares / soldLot.quantity),
+                // Tacked onto the replacement's holding period
+                heldMs: saleDate - new Date(soldLot.date)
+            });
+
+            replacement.shares -= shares;
+            unmatched -= shares;
+        }
+    }
+
+    return allocations;
+}
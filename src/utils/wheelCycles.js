@@ -0,0 +1,197 @@
+import { parseOptionSymbol } from './optionSymbol';
+import { closestDelivery, deliverySide } from './optionDeliveries';
+import { DAY_MS } from './dates';
+
+/**
+ * Wheel strategy cycles
+ *
+ * A cycle starts with a cash-secured put on an underlying and follows it through assignment,
+ * the covered calls sold on the shares, and the shares being called away (or sold). A put
+ * closed or expired without assignment, with no shares held, ends its cycle there. Cycles are
+ * tracked per account and underlying; legs of multi-leg structures are not part of a wheel.
+ *
+ * Assigned shares are valued at the strike; the premium is reported separately, so a cycle's
+ * total is its premium plus the stock P&L.
+ */
+
+/**
+ * Chain put, stock and call trades into wheel cycles
+ * @param {Array} stockTrades - stockResults.trades
+ * @param {Array} optionTrades - optionResults.trades
+ * @param {Date} asOf - End date for cycles still open, e.g. the last transaction date
+ * @returns {Array} - Cycles, most recent first
+ */
+export function buildWheelCycles(stockTrades, optionTrades, asOf) {
+    const wheelOptionTrades = optionTrades.filter(trade => !trade.structureId);
+    const shareLegs = assignmentShareLegs(stockTrades, wheelOptionTrades);
+
+    const events = [
+        ...wheelOptionTrades.map(trade => ({ trade, isOption: true })),
+        // Shares delivered by an assignment are handled with the option trade
+        ...stockTrades
+            .filter(trade => (trade.type === 'BUY' || trade.type === 'SELL') && !trade.premiumAdjustment && !shareLegs.has(trade))
+            .map(trade => ({ trade, isOption: false }))
+    ].sort((a, b) => new Date(a.trade.date) - new Date(b.trade.date));
+
+    const active = new Map(); // account|underlying -> cycle in progress
+    const cycles = [];
+
+    for (const { trade, isOption } of events) {
+        const underlying = isOption ? trade.underlyingSymbol : trade.symbol;
+        const key = `${trade.account || ''}|${underlying}`;
+        let cycle = active.get(key);
+
+        if (isOption) {
+            const details = parseOptionSymbol(trade.symbol);
+            const shares = trade.quantity * (details?.multiplier || 100);
+            const strikeValue = (details?.strike || 0) * shares;
+            const isPut = trade.optionType === 'PUT';
+
+            if (trade.type === 'SELL_OPEN' && isPut && trade.strategy === 'cashSecuredPuts') {
+                if (!cycle) {
+                    cycle = startCycle(trade, underlying);
+                    active.set(key, cycle);
+                    cycles.push(cycle);
+                }
+                cycle.premium += trade.premium;
+                cycle.putObligation += strikeValue;
+                addEvent(cycle, trade, 'PUT_SOLD', `Sold ${trade.quantity} put${trade.quantity !== 1 ? 's' : ''} @ ${details?.strike}`, trade.premium);
+
+            } else if (!cycle) {
+                continue;
+
+            } else if (trade.type === 'SELL_OPEN' && !isPut) {
+                if (cycle.shares <= 0) continue; // Only calls covered by the cycle's shares
+                cycle.premium += trade.premium;
+                addEvent(cycle, trade, 'CALL_SOLD', `Sold ${trade.quantity} call${trade.quantity !== 1 ? 's' : ''} @ ${details?.strike}`, trade.premium);
+
+            } else if (trade.type === 'BUY_CLOSE') {
+                cycle.premium -= trade.premium;
+                if (isPut) cycle.putObligation = Math.max(cycle.putObligation - strikeValue, 0);
+                addEvent(cycle, trade, isPut ? 'PUT_CLOSED' : 'CALL_CLOSED', `Bought back ${isPut ? 'put' : 'call'} @ ${details?.strike}`, -trade.premium);
+
+            } else if (trade.type === 'EXPIRED') {
+                if (isPut) cycle.putObligation = Math.max(cycle.putObligation - strikeValue, 0);
+                addEvent(cycle, trade, isPut ? 'PUT_EXPIRED' : 'CALL_EXPIRED', `${isPut ? 'Put' : 'Call'} @ ${details?.strike} expired`, 0);
+
+            } else if (trade.type === 'ASSIGNED' && isPut) {
+                cycle.putObligation = Math.max(cycle.putObligation - strikeValue, 0);
+                cycle.shares += shares;
+                cycle.shareCost += strikeValue;
+                addEvent(cycle, trade, 'ASSIGNED', `Assigned ${shares} shares @ ${details?.strike}`, -strikeValue);
+
+            } else if (trade.type === 'ASSIGNED') {
+                sellShares(cycle, Math.min(shares, cycle.shares), (details?.strike || 0) * Math.min(shares, cycle.shares));
+                addEvent(cycle, trade, 'CALLED_AWAY', `Called away ${shares} shares @ ${details?.strike}`, strikeValue);
+                cycle.outcome = 'Called away';
+            } else {
+                continue;
+            }
+
+        } else {
+            if (!cycle || (trade.type === 'SELL' && cycle.shares <= 0)) continue;
+
+            if (trade.type === 'BUY') {
+                cycle.shares += trade.quantity;
+                cycle.shareCost += trade.totalCost;
+                addEvent(cycle, trade, 'SHARES_BOUGHT', `Bought ${trade.quantity} shares @ ${trade.price}`, -trade.totalCost);
+            } else {
+                const quantity = Math.min(trade.quantity, cycle.shares);
+                sellShares(cycle, quantity, trade.totalProceeds * (quantity / trade.quantity));
+                addEvent(cycle, trade, 'SHARES_SOLD', `Sold ${quantity} shares @ ${trade.price}`, trade.totalProceeds);
+                cycle.outcome = 'Shares sold';
+            }
+        }
+
+        cycle.capital = Math.max(cycle.capital, cycle.shareCost + cycle.putObligation);
+
+        // Nothing left at risk: the cycle is complete
+        if (cycle.shares <= 0 && cycle.putObligation <= 0) {
+            cycle.status = 'CLOSED';
+            cycle.endDate = trade.date;
+            cycle.outcome = cycle.outcome || 'Put closed before assignment';
+            active.delete(key);
+        }
+    }
+
+    return cycles.map(cycle => finishCycle(cycle, asOf)).reverse();
+}
+
+/**
+ * Stock trades that moved the shares of an assignment, matched the way linkOptionDeliveries links
+ * transactions. Trades carrying an assignment premium are the gains engine's own links; this also
+ * catches share legs it left unlinked (e.g. an assignment with no premium on record).
+ */
+function assignmentShareLegs(stockTrades, optionTrades) {
+    const legs = new Set();
+
+    for (const option of optionTrades) {
+        if (option.type !== 'ASSIGNED') continue;
+
+        const details = parseOptionSymbol(option.symbol);
+        const side = deliverySide(option.optionType, true);
+        const candidates = stockTrades.filter(trade =>
+            !legs.has(trade) &&
+            trade.type === side &&
+            trade.symbol === option.underlyingSymbol &&
+            (trade.account || '') === (option.account || ''));
+
+        const linked = candidates.find(trade => trade.premiumAdjustment?.optionSymbols.includes(option.symbol));
+        const leg = linked || closestDelivery(
+            candidates.filter(trade => !trade.premiumAdjustment),
+            option.date,
+            option.quantity * (details?.multiplier || 100)
+        );
+        if (leg) legs.add(leg);
+    }
+
+    return legs;
+}
+
+function startCycle(trade, underlying) {
+    return {
+        id: `${trade.account || ''}|${underlying}|${new Date(trade.date).getTime()}`,
+        account: trade.account,
+        underlyingSymbol: underlying,
+        startDate: trade.date,
+        endDate: null,
+        status: 'OPEN',
+        outcome: null,
+        premium: 0,
+        stockPL: 0,
+        shares: 0,
+        shareCost: 0, // Cost of the shares still held
+        putObligation: 0, // Strike value of puts still open (cash secured)
+        capital: 0, // Most capital tied up at any point
+        events: []
+    };
+}
+
+function addEvent(cycle, trade, kind, label, amount) {
+    cycle.events.push({ date: trade.date, kind, label, amount });
+}
+
+/**
+ * Realize stock P&L on shares leaving the cycle, at the average cost of the shares held
+ */
+function sellShares(cycle, quantity, proceeds) {
+    if (quantity <= 0 || cycle.shares <= 0) return;
+
+    const cost = cycle.shareCost * (quantity / cycle.shares);
+    cycle.stockPL += proceeds - cost;
+    cycle.shareCost -= cost;
+    cycle.shares -= quantity;
+}
+
+function finishCycle(cycle, asOf) {
+    const end = cycle.endDate ? new Date(cycle.endDate) : asOf;
+    const days = Math.max(Math.ceil((end - new Date(cycle.startDate)) / DAY_MS), 1);
+    const totalReturn = cycle.premium + cycle.stockPL;
+
+    return {
+        ...cycle,
+        days,
+        totalReturn,
+        annualizedReturn: cycle.capital > 0 ? (totalReturn / cycle.capital) * (365 / days) * 100 : 0
+    };
+}